@@ -9,7 +9,13 @@ import applicationRoutes, { paystackWebhookHandler } from './routes/applications
 import profileRoutes from './routes/profile.js';
 import dashboardRoutes from './routes/dashboard.js';
 import messageRoutes from './routes/messages.js';
+import organizationRoutes from './routes/organizations.js';
+import emailRoutes from './routes/emails.js';
+import couponRoutes from './routes/coupons.js';
 import { notFound, errorHandler } from './middleware/error.js';
+import { startEmailWorker } from './utils/mailer.js';
+import { startPaymentReconciliation } from './jobs/paymentReconciliation.js';
+import { startOpportunityExpiry } from './jobs/opportunityExpiry.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,6 +29,9 @@ const authLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20, standardHeade
 app.use('/api/', apiLimiter);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/2fa', authLimiter);
+app.use('/api/auth/verify-email', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
 
 // Paystack webhook MUST receive raw body for signature verification — register before express.json()
 app.post('/api/applications/paystack-webhook', express.raw({ type: 'application/json' }), paystackWebhookHandler);
@@ -40,6 +49,9 @@ app.use('/api/applications', applicationRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/coupons', couponRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
@@ -48,8 +60,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
-// Connect to DB without blocking server startup
-connectDB().catch(err => {
+// Connect to DB without blocking server startup; background workers start once connected
+connectDB().then(() => {
+  startEmailWorker();
+  startPaymentReconciliation();
+  startOpportunityExpiry();
+}).catch(err => {
   console.error('MongoDB connection failed:', err.message);
   // Server keeps running, Railway health check passes
 });
@@ -0,0 +1,77 @@
+/**
+ * Opportunity expiry job.
+ * Closes active opportunities whose deadline has passed, recording closedAt and
+ * closedReason 'deadline', so listings don't stay open after they stop accepting
+ * applications. Admins can extend the deadline or reopen a listing afterwards.
+ *
+ * Env: OPPORTUNITY_EXPIRY_INTERVAL_MS (default 1 hour, 0 disables the schedule)
+ */
+import Opportunity from '../models/Opportunity.js';
+import JobRun from '../models/JobRun.js';
+
+export const JOB_NAME = 'opportunity_expiry';
+
+let running = false;
+let timer = null;
+
+/**
+ * Close every active opportunity past its deadline and store the report as a JobRun.
+ * @param {{ trigger?: 'schedule'|'manual', triggeredBy?: string }} [opts]
+ * @returns {Promise<object>} the JobRun document (lean)
+ */
+export async function runOpportunityExpiry({ trigger = 'schedule', triggeredBy } = {}) {
+  if (running) {
+    const err = new Error('Opportunity expiry is already running');
+    err.status = 409;
+    throw err;
+  }
+  running = true;
+  const report = { closed: 0, opportunityIds: [] };
+  let run;
+  try {
+    run = await JobRun.create({ job: JOB_NAME, trigger, triggeredBy });
+    const now = new Date();
+    const expired = { isActive: true, deadline: { $lte: now } };
+    const ids = await Opportunity.find(expired).distinct('_id');
+    if (ids.length) {
+      // Same condition again, so a listing extended meanwhile is left open
+      const result = await Opportunity.updateMany(
+        { ...expired, _id: { $in: ids } },
+        { $set: { isActive: false, closedAt: now, closedReason: 'deadline' }, $unset: { closedBy: 1 } }
+      );
+      report.closed = result.modifiedCount;
+      report.opportunityIds = ids.map(String);
+      console.log(`[Expiry] closed ${report.closed} opportunities past their deadline`);
+    }
+    return await JobRun.findByIdAndUpdate(
+      run._id,
+      { $set: { status: 'completed', finishedAt: new Date(), report } },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    if (run) {
+      await JobRun.updateOne({ _id: run._id }, { $set: { status: 'failed', finishedAt: new Date(), report, error: err.message } }).catch(() => {});
+    }
+    throw err;
+  } finally {
+    running = false;
+  }
+}
+
+export function lastOpportunityExpiry() {
+  return JobRun.findOne({ job: JOB_NAME }).sort({ startedAt: -1 }).lean();
+}
+
+// Start the periodic schedule (runs once at startup; timer is unref'd so it never keeps the process alive)
+export function startOpportunityExpiry() {
+  if (timer) return;
+  const interval = Number(process.env.OPPORTUNITY_EXPIRY_INTERVAL_MS ?? 60 * 60 * 1000);
+  if (!interval) return;
+  const tick = () => {
+    if (running) return;
+    runOpportunityExpiry().catch((err) => console.error('[Expiry] Run failed:', err.message));
+  };
+  timer = setInterval(tick, Math.max(60 * 1000, interval));
+  timer.unref();
+  tick();
+}
@@ -0,0 +1,111 @@
+/**
+ * Payment reconciliation job.
+ * Finds recent pending_payment applications whose Paystack references are still
+ * initialized/pending in the ledger (or succeeded but were never applied), asks Paystack for each reference's status and
+ * reconciles it, so a missed webhook (and a user who never returned to
+ * /verify-payment) can't leave a paid application stuck.
+ *
+ * Env: PAYMENT_RECONCILE_INTERVAL_MS (default 15 min, 0 disables the schedule),
+ *      PAYMENT_RECONCILE_MAX_AGE_HOURS (default 72)
+ */
+import Application from '../models/Application.js';
+import Payment from '../models/Payment.js';
+import JobRun from '../models/JobRun.js';
+import { verifyTransaction } from '../utils/paystack.js';
+import { fromPaystackTransaction, reconcilePayment } from '../utils/payments.js';
+
+export const JOB_NAME = 'payment_reconciliation';
+const BATCH_LIMIT = 200;
+
+let running = false;
+let timer = null;
+
+async function reconcileApplication(application, report) {
+  const payments = await Payment.find({
+    applicationId: application._id,
+    $or: [{ status: { $in: ['initialized', 'pending'] } }, { status: 'success', appliedAt: null }],
+  })
+    .select('reference')
+    .sort({ createdAt: -1 })
+    .lean();
+  if (payments.length === 0) {
+    report.noReference.push(String(application._id));
+    return;
+  }
+  for (const { reference } of payments) {
+    try {
+      const result = await verifyTransaction(reference);
+      const outcome = await reconcilePayment(reference, fromPaystackTransaction(result.data), { source: 'reconcile' });
+      if (outcome.applied) {
+        report.promoted.push({ applicationId: String(application._id), reference });
+        return; // application is paid; older references don't matter
+      }
+      if (result.verified) report.paidNotApplied.push({ applicationId: String(application._id), reference });
+      else report.unpaid.push({ applicationId: String(application._id), reference, paystackStatus: result.data?.status });
+    } catch (err) {
+      report.errors.push({ applicationId: String(application._id), reference, error: err.message });
+    }
+  }
+}
+
+/**
+ * Run one reconciliation pass and store its report as a JobRun.
+ * @param {{ trigger?: 'schedule'|'manual', triggeredBy?: string, maxAgeHours?: number }} [opts]
+ * @returns {Promise<object>} the JobRun document (lean)
+ */
+export async function runPaymentReconciliation({ trigger = 'schedule', triggeredBy, maxAgeHours } = {}) {
+  if (running) {
+    const err = new Error('Payment reconciliation is already running');
+    err.status = 409;
+    throw err;
+  }
+  running = true;
+  const hours = Number(maxAgeHours) || Number(process.env.PAYMENT_RECONCILE_MAX_AGE_HOURS) || 72;
+  const report = { maxAgeHours: hours, scanned: 0, promoted: [], paidNotApplied: [], unpaid: [], noReference: [], errors: [] };
+  let run;
+  try {
+    run = await JobRun.create({ job: JOB_NAME, trigger, triggeredBy });
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const applications = await Application.find({ status: 'pending_payment', updatedAt: { $gte: since } })
+      .select('_id')
+      .sort({ updatedAt: -1 })
+      .limit(BATCH_LIMIT)
+      .lean();
+    for (const application of applications) {
+      report.scanned++;
+      await reconcileApplication(application, report);
+    }
+    const done = await JobRun.findByIdAndUpdate(
+      run._id,
+      { $set: { status: 'completed', finishedAt: new Date(), report } },
+      { new: true }
+    ).lean();
+    if (report.promoted.length || report.errors.length) {
+      console.log(`[Reconcile] scanned ${report.scanned}, promoted ${report.promoted.length}, errors ${report.errors.length}`);
+    }
+    return done;
+  } catch (err) {
+    if (run) {
+      await JobRun.updateOne({ _id: run._id }, { $set: { status: 'failed', finishedAt: new Date(), report, error: err.message } }).catch(() => {});
+    }
+    throw err;
+  } finally {
+    running = false;
+  }
+}
+
+export function lastPaymentReconciliation() {
+  return JobRun.findOne({ job: JOB_NAME }).sort({ startedAt: -1 }).lean();
+}
+
+// Start the periodic schedule (timer is unref'd so it never keeps the process alive)
+export function startPaymentReconciliation() {
+  if (timer) return;
+  const interval = Number(process.env.PAYMENT_RECONCILE_INTERVAL_MS ?? 15 * 60 * 1000);
+  if (!interval || !process.env.PAYSTACK_SECRET_KEY) return;
+  timer = setInterval(() => {
+    if (running) return;
+    runPaymentReconciliation().catch((err) => console.error('[Reconcile] Run failed:', err.message));
+  }, Math.max(60 * 1000, interval));
+  timer.unref();
+}
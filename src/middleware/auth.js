@@ -1,27 +1,131 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import mongoose from 'mongoose';
+import Opportunity from '../models/Opportunity.js';
+import { verifyAccessToken, hasRecentSecondFactor } from '../utils/tokens.js';
+import { twoFactorRequired } from '../utils/twoFactor.js';
+
+function bearerToken(req) {
+  return req.headers.authorization?.startsWith('Bearer') ? req.headers.authorization.split(' ')[1] : null;
+}
 
 export const protect = async (req, res, next) => {
-  let token = req.headers.authorization?.startsWith('Bearer')
-    ? req.headers.authorization.split(' ')[1]
-    : null;
+  const token = bearerToken(req);
   if (!token) {
     return res.status(401).json({ message: 'Not authorized' });
   }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user) return res.status(401).json({ message: 'User not found' });
+    const { user, sessionId } = await verifyAccessToken(token);
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (err) {
-    return res.status(401).json({ message: 'Not authorized' });
+    return res.status(err.status || 401).json({ message: err.status ? err.message : 'Not authorized' });
+  }
+};
+
+// Like protect, but anonymous requests (or invalid tokens) continue without req.user
+export const optionalAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return next();
+  try {
+    const { user, sessionId } = await verifyAccessToken(token);
+    req.user = user;
+    req.sessionId = sessionId;
+  } catch {
+    // treat as anonymous
   }
+  next();
 };
 
+const ENROLLMENT_REQUIRED = {
+  message: 'Two-factor authentication must be enabled for this account',
+  code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+};
+
+// REQUIRE_ADMIN_2FA: admins without 2FA can still reach /auth/2fa (protect only) to enroll
+function mustEnrollTwoFactor(user) {
+  return twoFactorRequired(user) && !user.twoFactor?.enabled;
+}
+
 export const adminOnly = (req, res, next) => {
   if (req.user?.role !== 'admin') {
     return res.status(403).json({ message: 'Admin access required' });
   }
+  if (mustEnrollTwoFactor(req.user)) return res.status(403).json(ENROLLMENT_REQUIRED);
+  next();
+};
+
+// Money-moving actions: 2FA must be enabled and confirmed on this session recently (POST /auth/2fa/confirm)
+export const requireRecentSecondFactor = async (req, res, next) => {
+  try {
+    if (!req.user?.twoFactor?.enabled) return res.status(403).json(ENROLLMENT_REQUIRED);
+    if (!(await hasRecentSecondFactor(req.sessionId))) {
+      return res.status(403).json({ message: 'Confirm your authentication code to continue', code: 'STEP_UP_REQUIRED' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Role gate, e.g. authorize('admin', 'employer'). Employers must also belong to an organization.
+export const authorize = (...roles) => (req, res, next) => {
+  const role = req.user?.role;
+  if (!roles.includes(role)) {
+    return res.status(403).json({ message: 'You do not have access to this resource' });
+  }
+  if (role === 'employer' && !req.user.organizationId) {
+    return res.status(403).json({ message: 'Your employer account is not linked to an organization' });
+  }
+  if (mustEnrollTwoFactor(req.user)) return res.status(403).json(ENROLLMENT_REQUIRED);
   next();
 };
+
+/**
+ * Mongo filter limiting opportunities to those the user may manage.
+ * Admins manage all; employers only their organization's.
+ */
+export function opportunityScope(user) {
+  if (user?.role === 'admin') return {};
+  if (user?.role === 'employer' && user.organizationId) return { organizationId: user.organizationId };
+  return { _id: null };
+}
+
+/**
+ * Mongo filter limiting applications to those the user may review.
+ * Employers see applications only for their organization's opportunities.
+ */
+export async function applicationScope(user) {
+  if (user?.role === 'admin') return {};
+  if (user?.role === 'employer' && user.organizationId) {
+    const ids = await Opportunity.find({ organizationId: user.organizationId }).distinct('_id');
+    return { opportunityId: { $in: ids } };
+  }
+  return { _id: null };
+}
+
+export function canManageOpportunity(user, opportunity) {
+  if (!user || !opportunity) return false;
+  if (user.role === 'admin') return true;
+  return (
+    user.role === 'employer' &&
+    !!user.organizationId &&
+    !!opportunity.organizationId &&
+    opportunity.organizationId.toString() === user.organizationId.toString()
+  );
+}
+
+// Loads req.params.id into req.opportunity if the current user may manage it
+export const loadManagedOpportunity = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Opportunity not found' });
+    const opportunity = await Opportunity.findById(req.params.id);
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    if (!canManageOpportunity(req.user, opportunity)) {
+      return res.status(403).json({ message: 'You can only manage your organization\'s opportunities' });
+    }
+    req.opportunity = opportunity;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
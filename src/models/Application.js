@@ -1,5 +1,21 @@
 import mongoose from 'mongoose';
 
+// Append-only audit entry; written with $push only, never edited
+const statusHistorySchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: ['created', 'status_change', 'payment', 'refund'], required: true },
+    from: { type: String },
+    to: { type: String },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String, enum: ['applicant', 'admin', 'employer', 'system'], required: true },
+    notes: { type: String, maxlength: 2000 }, // internal — hidden from applicants
+    amount: { type: Number },
+    meta: { type: mongoose.Schema.Types.Mixed }, // e.g. payment reference, source
+    at: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
 const applicationSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -16,13 +32,21 @@ const applicationSchema = new mongoose.Schema(
     mpesaTransactionId: { type: String }, // legacy
     paymentTransactionId: { type: String },
     amountPaid: { type: Number },
+    currency: { type: String }, // currency of amountPaid and refundAmount (set when payment is applied)
+    paidAt: { type: Date },
     refundedAt: { type: Date },
-    refundTransferCode: { type: String },
+    refundTransferCode: { type: String }, // legacy: transfer refunds are now tracked on Refund
     refundAmount: { type: Number },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    couponCode: { type: String },
+    discountAmount: { type: Number },
+    statusHistory: { type: [statusHistorySchema], default: [] },
   },
   { timestamps: true }
 );
 
 applicationSchema.index({ userId: 1, opportunityId: 1 }, { unique: true });
+applicationSchema.index({ paidAt: 1 });
+applicationSchema.index({ refundedAt: 1 }, { sparse: true });
 
 export default mongoose.model('Application', applicationSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Failed-attempt counter and temporary lock for one account and one kind of check
+const authLockSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: ['login', 'otp', 'password_reset', 'two_factor'], required: true },
+    failures: { type: Number, default: 0 }, // since the last lock (or success)
+    lockouts: { type: Number, default: 0 }, // consecutive locks; each one doubles the lock time
+    lockedUntil: { type: Date },
+    lastFailureAt: { type: Date },
+    lastIp: { type: String },
+  },
+  { timestamps: true }
+);
+
+authLockSchema.index({ userId: 1, kind: 1 }, { unique: true });
+authLockSchema.index({ lockedUntil: 1 });
+
+export default mongoose.model('AuthLock', authLockSchema);
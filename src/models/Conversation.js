@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// One thread per application, between the applicant and the admin team
+const conversationSchema = new mongoose.Schema(
+  {
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true, unique: true },
+    applicantId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    subject: { type: String, trim: true },
+    lastMessageAt: { type: Date },
+    lastMessagePreview: { type: String },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ applicantId: 1, lastMessageAt: -1 });
+conversationSchema.index({ lastMessageAt: -1 });
+
+export default mongoose.model('Conversation', conversationSchema);
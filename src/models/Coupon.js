@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Discount code / fee waiver for application fees
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+    value: { type: Number, required: true, min: 0 }, // percent (0–100) or fixed amount in `currency`
+    currency: { type: String, enum: ['KES', 'NGN', 'GHS'], default: 'KES' }, // fixed discounts only apply to fees in this currency
+    startsAt: { type: Date },
+    expiresAt: { type: Date },
+    maxUses: { type: Number, min: 1 }, // total redemptions; unset = unlimited
+    usedCount: { type: Number, default: 0 },
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    // Optional scope: empty lists mean the coupon applies to every opportunity
+    opportunityIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity' }],
+    categories: [{ type: String, trim: true }],
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Coupon', couponSchema);
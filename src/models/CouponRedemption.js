@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// A coupon held by an application. Active redemptions count toward usage limits;
+// released ones (coupon removed or application withdrawn) do not.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    discountAmount: { type: Number, required: true },
+    slot: { type: Number }, // which of the user's perUserLimit uses this redemption holds
+    status: { type: String, enum: ['active', 'released'], default: 'active' },
+    releasedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ applicationId: 1, status: 1 });
+// Two concurrent applies can't hold the same per-user slot, so the limit can't be overshot
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } }
+);
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
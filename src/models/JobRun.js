@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Report of one background job run (scheduled or triggered by an admin)
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    trigger: { type: String, enum: ['schedule', 'manual'], required: true },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    report: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    applicantId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // denormalized for unread counts
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    senderRole: { type: String, enum: ['applicant', 'admin'], required: true },
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    readAt: { type: Date }, // set when the other side reads it
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ applicantId: 1, senderRole: 1, readAt: 1 });
+
+export default mongoose.model('Message', messageSchema);
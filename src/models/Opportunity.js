@@ -4,6 +4,8 @@ const opportunitySchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     company: { type: String, required: true },
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     companyLogo: { type: String },
     type: { type: String, enum: ['internship', 'attachment'], required: true },
     description: { type: String, required: true },
@@ -12,10 +14,29 @@ const opportunitySchema = new mongoose.Schema(
     duration: { type: String },
     category: { type: String },
     applicationFee: { type: Number, default: 500 },
+    currency: { type: String, enum: ['KES', 'NGN', 'GHS'], default: 'KES' }, // currency of applicationFee
     deadline: { type: Date },
     isActive: { type: Boolean, default: true },
+    // Set when the listing is closed: by the expiry job at its deadline, or manually
+    closedAt: { type: Date },
+    closedReason: { type: String, enum: ['deadline', 'manual'] },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    viewCount: { type: Number, default: 0, select: false }, // detail-page views, for funnel analytics
+    externalRef: { type: String, trim: true }, // partner's listing id; bulk re-imports update by it
   },
   { timestamps: true }
 );
 
+opportunitySchema.index({ organizationId: 1, createdAt: -1 });
+opportunitySchema.index({ isActive: 1, deadline: 1 });
+// Listing search (?search=); weights rank title matches above body text
+opportunitySchema.index(
+  { title: 'text', company: 'text', category: 'text', requirements: 'text', description: 'text' },
+  { name: 'opportunity_text', weights: { title: 10, company: 5, category: 4, requirements: 2, description: 1 } }
+);
+opportunitySchema.index(
+  { organizationId: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
+
 export default mongoose.model('Opportunity', opportunitySchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Employer organization that owns opportunities (employer users belong to one)
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    logo: { type: String },
+    website: { type: String, trim: true },
+    description: { type: String },
+    contactEmail: { type: String, lowercase: true, trim: true },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Outbox record: every email is queued here and delivered by the mail worker
+const outboundEmailSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true, lowercase: true, trim: true },
+    subject: { type: String, required: true },
+    text: { type: String },
+    html: { type: String },
+    category: {
+      type: String,
+      enum: ['otp', 'verification', 'password_reset', 'notification', 'test', 'other'],
+      default: 'other',
+    },
+    // Sensitive bodies (OTPs, reset links) are cleared once delivered or dead, and never resent
+    sensitive: { type: Boolean, default: false },
+    status: { type: String, enum: ['queued', 'sending', 'sent', 'dead'], default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    transport: { type: String },
+    messageId: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ createdAt: -1 });
+
+export default mongoose.model('OutboundEmail', outboundEmailSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const PAYMENT_STATUSES = ['initialized', 'pending', 'success', 'failed', 'refunded'];
+
+// Lifecycle entry: one per status change or replayed event (source = webhook | verify | saved_card | init …)
+const paymentEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: PAYMENT_STATUSES, required: true },
+    source: { type: String, required: true },
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Ledger: one record per Paystack reference (APP-<applicationId>-<ts>)
+const paymentSchema = new mongoose.Schema(
+  {
+    reference: { type: String, required: true, unique: true },
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: { type: String, enum: ['checkout', 'saved_card', 'mpesa', 'waiver'], required: true },
+    amount: { type: Number, required: true }, // major units (e.g. KES)
+    currency: { type: String, default: 'KES' },
+    status: { type: String, enum: PAYMENT_STATUSES, default: 'initialized' },
+    paystackTransactionId: { type: String },
+    channel: { type: String },
+    gatewayResponse: { type: String },
+    paidAt: { type: Date },
+    // Refund running totals (major units): processed, and requested/pending at Paystack
+    refundedAmount: { type: Number, default: 0 },
+    refundPendingAmount: { type: Number, default: 0 },
+    // Set while a success is being applied; a stale marker (crash) can be re-claimed
+    applyingAt: { type: Date },
+    // Set once the success has been applied to the application, so replays are no-ops
+    appliedAt: { type: Date },
+    events: { type: [paymentEventSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ applicationId: 1, createdAt: -1 });
+paymentSchema.index({ paystackTransactionId: 1 }, { sparse: true });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+export { PAYMENT_STATUSES };
+export default mongoose.model('Payment', paymentSchema);
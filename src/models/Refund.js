@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const REFUND_STATUSES = ['requested', 'pending', 'processed', 'failed'];
+
+const refundEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: REFUND_STATUSES, required: true },
+    source: { type: String, required: true }, // admin | paystack | webhook
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One refund against a ledger Payment; a payment can have several (partial) refunds
+const refundSchema = new mongoose.Schema(
+  {
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true }, // major units
+    currency: { type: String, default: 'KES' },
+    status: { type: String, enum: REFUND_STATUSES, default: 'requested' },
+    reason: { type: String }, // internal (merchant note)
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // paystack_refund reverses the card/M-Pesa charge; mpesa_transfer pays out to a phone number
+    method: { type: String, enum: ['paystack_refund', 'mpesa_transfer'], default: 'paystack_refund' },
+    paystackRefundId: { type: String },
+    transferCode: { type: String },
+    transferReference: { type: String },
+    transferPhone: { type: String },
+    failureReason: { type: String },
+    processedAt: { type: Date },
+    events: { type: [refundEventSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ paymentId: 1, createdAt: 1 });
+refundSchema.index({ applicationId: 1, createdAt: -1 });
+refundSchema.index({ paystackRefundId: 1 }, { sparse: true });
+refundSchema.index({ transferCode: 1 }, { sparse: true });
+
+export { REFUND_STATUSES };
+export default mongoose.model('Refund', refundSchema);
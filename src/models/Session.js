@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. The refresh token rotates on every /auth/refresh; earlier hashes
+// are kept so a replayed (stolen) refresh token is detected and the session revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true, unique: true }, // sha256 of the current refresh token
+    previousTokenHashes: { type: [String], default: [] },
+    tokenVersion: { type: Number, default: 0 }, // User.tokenVersion when issued; a bump invalidates the session
+    expiresAt: { type: Date, required: true },
+    userAgent: { type: String },
+    device: { type: String }, // readable label from the user agent, e.g. "Chrome on Windows"
+    ip: { type: String },
+    lastSeenAt: { type: Date },
+    secondFactorAt: { type: Date }, // last TOTP/backup code confirmation (login or step-up)
+    revokedAt: { type: Date },
+    revokedReason: { type: String, enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'reuse_detected', 'two_factor_enabled', 'user', 'admin'] },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -13,13 +13,36 @@ const userSchema = new mongoose.Schema(
     paystackAuthorizationCode: { type: String },
     paystackCardLast4: { type: String },
     paystackCardType: { type: String },
-    role: { type: String, enum: ['student', 'graduate', 'admin'], default: 'student' },
+    role: { type: String, enum: ['student', 'graduate', 'employer', 'admin'], default: 'student' },
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' }, // employers only
     emailVerified: { type: Boolean, default: false },
     emailOTP: { type: String },
     emailOTPExpires: { type: Date },
-    passwordResetToken: { type: String },
+    emailOTPAttempts: { type: Number, default: 0 }, // wrong guesses against the current OTP
+    // Email change waiting for the OTP sent to the new address
+    pendingEmail: { type: String, lowercase: true },
+    pendingEmailOTP: { type: String, select: false },
+    pendingEmailOTPExpires: { type: Date },
+    pendingEmailOTPAttempts: { type: Number, default: 0 },
+    passwordResetToken: { type: String }, // sha256 of the emailed token
     passwordResetExpires: { type: Date },
+    tokenVersion: { type: Number, default: 0 }, // bumped to invalidate every session (logout-all, password change)
+    // TOTP two-factor auth; secrets and hashed backup codes are never returned by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // set during enrollment until the first code is confirmed
+      backupCodes: { type: [String], select: false },
+      lastStep: { type: Number }, // last TOTP time step used, so a code can't be replayed
+      enabledAt: { type: Date },
+    },
     savedOpportunities: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Opportunity' }],
+    // Per-category opt-outs for application lifecycle emails
+    notificationPreferences: {
+      paymentConfirmations: { type: Boolean, default: true },
+      statusUpdates: { type: Boolean, default: true },
+      refunds: { type: Boolean, default: true },
+    },
   },
   {
     timestamps: true,
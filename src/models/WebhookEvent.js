@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Raw Paystack webhook events, de-duplicated by eventKey (event name + Paystack data id)
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventKey: { type: String, required: true, unique: true },
+    event: { type: String, required: true },
+    reference: { type: String },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['received', 'processed', 'ignored', 'failed'], default: 'received' },
+    error: { type: String },
+    deliveries: { type: Number, default: 1 }, // how many times Paystack sent it
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ reference: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,21 +1,42 @@
 import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import Application from '../models/Application.js';
 import Opportunity from '../models/Opportunity.js';
 import User from '../models/User.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, adminOnly, authorize, applicationScope, requireRecentSecondFactor } from '../middleware/auth.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
 import {
   initializeTransaction,
   chargeMpesa,
   verifyTransaction,
-  refundTransaction,
   createTransferRecipient,
   initiateTransfer,
   chargeAuthorization,
   verifyWebhookSignature,
 } from '../utils/paystack.js';
 import { validateDocFile } from '../utils/fileValidation.js';
+import { historyEntry, sanitizeHistory } from '../utils/applicationHistory.js';
+import { notifyApplicant } from '../utils/notifications.js';
+import { APPLICATION_STATUSES, assertTransition, applyTransition, describeTransitions } from '../utils/applicationStatus.js';
+import {
+  applicationIdFromReference,
+  fromPaystackTransaction,
+  recordPaymentAttempt,
+  reconcilePayment,
+  applyFeeWaiver,
+} from '../utils/payments.js';
+import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Refund from '../models/Refund.js';
+import { requestRefund, requestTransferRefund, handleRefundEvent, handleTransferEvent, sanitizeRefund } from '../utils/refunds.js';
+import { findValidCoupon, applyCoupon, releaseCoupon, computeDiscount } from '../utils/coupons.js';
+import { baseFee, amountDue, feeCurrency, supportsMpesa } from '../utils/fees.js';
+import { runPaymentReconciliation, lastPaymentReconciliation } from '../jobs/paymentReconciliation.js';
+import { csvLine } from '../utils/csv.js';
+import { openFilter, closedMessage } from '../utils/opportunityAvailability.js';
+import { parseDateRange, dateRange } from '../utils/reports.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
@@ -24,6 +45,7 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 *
 router.get('/', protect, async (req, res) => {
   try {
     const apps = await Application.find({ userId: req.user._id })
+      .select('-statusHistory')
       .populate('opportunityId', 'title company type deadline')
       .sort({ createdAt: -1 })
       .lean();
@@ -33,21 +55,28 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Admin: list all applications
-router.get('/admin/all', protect, adminOnly, async (req, res) => {
+// Status transition graph, so the frontend can render only valid actions
+router.get('/status-transitions', protect, (req, res) => {
+  res.json(describeTransitions());
+});
+
+// Admin: list all applications (employers: only applications to their organization's opportunities)
+router.get('/admin/all', protect, authorize('admin', 'employer'), async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
     const skip = (page - 1) * limit;
+    const filter = await applicationScope(req.user);
     const [applications, total] = await Promise.all([
-      Application.find({})
+      Application.find(filter)
+        .select('-statusHistory')
         .populate('opportunityId', 'title company type')
         .populate('userId', 'name email')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
-      Application.countDocuments({}),
+      Application.countDocuments(filter),
     ]);
     res.json({ applications, total, page, pages: Math.ceil(total / limit) });
   } catch (err) {
@@ -55,95 +84,357 @@ router.get('/admin/all', protect, adminOnly, async (req, res) => {
   }
 });
 
-// Admin: refund application (refunds to original payment method)
-router.post('/admin/:id/refund', protect, adminOnly, async (req, res) => {
+// Columns of an application export row, in CSV order
+const EXPORT_COLUMNS = [
+  'applicationId',
+  'createdAt',
+  'status',
+  'applicantName',
+  'applicantEmail',
+  'opportunityId',
+  'opportunityTitle',
+  'company',
+  'resumeUrl',
+  'recommendationLetterUrl',
+  'coverLetter',
+  'amountPaid',
+  'currency',
+  'paidAt',
+  'paymentTransactionId',
+  'couponCode',
+  'discountAmount',
+  'refundAmount',
+  'refundedAt',
+];
+
+function exportRow(app) {
+  return {
+    applicationId: app._id,
+    createdAt: app.createdAt,
+    status: app.status,
+    applicantName: app.userId?.name,
+    applicantEmail: app.userId?.email,
+    opportunityId: app.opportunityId?._id ?? app.opportunityId,
+    opportunityTitle: app.opportunityId?.title,
+    company: app.opportunityId?.company,
+    resumeUrl: app.resumeUrl,
+    recommendationLetterUrl: app.recommendationLetterUrl,
+    coverLetter: app.coverLetter,
+    amountPaid: app.amountPaid,
+    currency: app.currency,
+    paidAt: app.paidAt,
+    paymentTransactionId: app.paymentTransactionId,
+    couponCode: app.couponCode,
+    discountAmount: app.discountAmount,
+    refundAmount: app.refundAmount,
+    refundedAt: app.refundedAt,
+  };
+}
+
+// Resolves once the response can take more data (or the client went away)
+function writable(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Admin/employer: stream every matching application as CSV (default) or NDJSON.
+// Query: opportunityId, status (comma-separated), from, to (created date), format=csv|ndjson.
+// Reads through a cursor, so memory use does not grow with the export size.
+router.get('/admin/export', protect, authorize('admin', 'employer'), async (req, res) => {
+  let cursor;
   try {
-    const { reason } = req.body;
-    const application = await Application.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        refundedAt: null,
-      },
-      { $set: { refundedAt: new Date() } },
-      { new: true }
-    )
-      .populate('opportunityId')
-      .populate('userId', 'name email');
-    if (!application) return res.status(404).json({ message: 'Application not found or already refunded' });
-    if (application.status !== 'submitted' && application.status !== 'under_review' && application.status !== 'shortlisted' && application.status !== 'rejected' && application.status !== 'accepted') {
-      return res.status(400).json({ message: 'Cannot refund application that has not been paid' });
+    const format = req.query.format || 'csv';
+    if (!['csv', 'ndjson'].includes(format)) return res.status(400).json({ message: 'format must be csv or ndjson' });
+    const criteria = {};
+    if (req.query.opportunityId) {
+      if (!mongoose.isValidObjectId(req.query.opportunityId)) return res.status(400).json({ message: 'Invalid opportunityId' });
+      criteria.opportunityId = req.query.opportunityId;
     }
-    const txId = application.paymentTransactionId;
-    if (!txId) {
-      await Application.findByIdAndUpdate(application._id, { $unset: { refundedAt: 1 } });
-      return res.status(400).json({ message: 'No payment transaction to refund' });
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map((s) => s.trim()).filter(Boolean);
+      const invalid = statuses.filter((s) => !APPLICATION_STATUSES.includes(s));
+      if (invalid.length) return res.status(400).json({ message: `Invalid status: ${invalid.join(', ')}` });
+      criteria.status = { $in: statuses };
     }
-    const amount = application.amountPaid ?? application.opportunityId?.applicationFee ?? 350;
-    await refundTransaction(txId, { amount, currency: 'KES', reason: reason || `Refund for application ${application._id}` });
-    await Application.findByIdAndUpdate(application._id, { $set: { refundAmount: amount } });
-    res.json({ message: 'Refund initiated', refundAmount: amount });
+    const { from, to } = parseDateRange(req.query);
+    if (from || to) criteria.createdAt = dateRange(from, to);
+    const filter = { $and: [await applicationScope(req.user), criteria] };
+
+    cursor = Application.find(filter)
+      .select('-statusHistory')
+      .populate('userId', 'name email')
+      .populate('opportunityId', 'title company')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="applications-${stamp}.${format}"`);
+    if (format === 'csv') res.write(csvLine(EXPORT_COLUMNS));
+
+    for await (const app of cursor) {
+      if (res.destroyed) break;
+      const row = exportRow(app);
+      const line = format === 'csv' ? csvLine(EXPORT_COLUMNS.map((c) => row[c])) : `${JSON.stringify(row)}\n`;
+      if (!res.write(line)) await writable(res);
+    }
+    res.end();
+  } catch (err) {
+    if (cursor) cursor.close().catch(() => {});
+    if (!res.headersSent) return res.status(err.status || 500).json({ message: err.message });
+    // Mid-stream failure: cut the download short rather than send a truncated file as complete
+    console.error('[Export] Application export failed:', err.message);
+    res.destroy(err);
+  }
+});
+
+// Admin: refund application to the original payment method (body: { amount?, reason })
+// Omit amount to refund the remaining balance; several partial refunds are allowed.
+router.post('/admin/:id/refund', protect, adminOnly, requireRecentSecondFactor, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+    if (amount !== undefined && !(amount > 0)) return res.status(400).json({ message: 'Amount must be a positive number' });
+    const application = await Application.findById(req.params.id).populate('opportunityId', 'applicationFee currency');
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const refund = await requestRefund(application, { amount, reason, actor: req.user });
+    res.json({ message: 'Refund initiated', refundAmount: refund.amount, refund });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message || 'Refund failed' });
+  }
+});
+
+// Admin: refunds for an application with running totals
+router.get('/admin/:id/refunds', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Application not found' });
+    const [refunds, payments] = await Promise.all([
+      Refund.find({ applicationId: req.params.id }).populate('requestedBy', 'name email').sort({ createdAt: -1 }).lean(),
+      Payment.find({ applicationId: req.params.id, appliedAt: { $ne: null } })
+        .select('reference amount currency status refundedAmount refundPendingAmount')
+        .lean(),
+    ]);
+    res.json({ refunds, payments });
   } catch (err) {
-    res.status(400).json({ message: err.message || 'Refund failed' });
+    res.status(500).json({ message: err.message });
   }
 });
 
 // Admin: transfer to M-Pesa (e.g. refund to specific number)
-router.post('/admin/transfer-mpesa', protect, adminOnly, async (req, res) => {
+router.post('/admin/transfer-mpesa', protect, adminOnly, requireRecentSecondFactor, async (req, res) => {
   try {
     const { amount, phone, name, reason, applicationId } = req.body;
     if (!amount || !phone) {
       return res.status(400).json({ message: 'Amount and phone number are required' });
     }
+    if (applicationId) {
+      // Refund to a phone number: goes through the refund ledger like a Paystack refund
+      if (!mongoose.isValidObjectId(applicationId)) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+      const application = await Application.findById(applicationId);
+      if (!application) return res.status(404).json({ message: 'Application not found' });
+      const refund = await requestTransferRefund(application, { amount: Number(amount), phone, name, reason, actor: req.user });
+      return res.json({
+        message: 'Transfer initiated',
+        transferCode: refund.transferCode,
+        status: refund.status,
+        refund,
+      });
+    }
     const recipient = await createTransferRecipient({
       name: name || 'Recipient',
       phone,
       currency: 'KES',
     });
-    const ref = applicationId ? `REF-${applicationId}-${Date.now()}` : `TRF-${Date.now()}`;
     const transfer = await initiateTransfer({
       amount: Number(amount),
       recipientCode: recipient.recipient_code,
-      reference: ref,
+      reference: `TRF-${Date.now()}`,
       reason: reason || 'Refund',
       currency: 'KES',
     });
-    if (applicationId) {
-      const app = await Application.findById(applicationId);
-      if (app) {
-        app.refundedAt = new Date();
-        app.refundAmount = Number(amount);
-        app.refundTransferCode = transfer.transfer_code || transfer.id;
-        await app.save();
-      }
-    }
     res.json({
       message: 'Transfer initiated',
       transferCode: transfer.transfer_code || transfer.id,
       status: transfer.status,
     });
   } catch (err) {
-    res.status(400).json({ message: err.message || 'Transfer failed' });
+    res.status(err.status || 400).json({ message: err.message || 'Transfer failed' });
   }
 });
 
-// Admin: update application status (e.g. after reviewing documents)
-router.patch('/admin/:id/status', protect, adminOnly, async (req, res) => {
+// Reviewer status change + applicant notification. Conditional on the status we read, so
+// concurrent reviewers can't record a wrong "from"; throws 409 if it changed meanwhile.
+async function setReviewStatus(current, status, { actor, notes }) {
+  const updated = await applyTransition(current._id, current.status, status, { by: 'reviewer', actor, notes });
+  if (!updated) {
+    const err = new Error('Application was updated by someone else. Please reload and try again.');
+    err.status = 409;
+    throw err;
+  }
+  notifyApplicant('status_changed', updated._id);
+  return updated;
+}
+
+// Admin/employer: update application status (e.g. after reviewing documents)
+router.patch('/admin/:id/status', protect, authorize('admin', 'employer'), async (req, res) => {
   try {
-    const allowed = ['submitted', 'under_review', 'shortlisted', 'rejected', 'accepted'];
-    const { status } = req.body;
+    const allowed = APPLICATION_STATUSES.filter((s) => s !== 'pending_payment');
+    const { status, notes } = req.body;
     if (!status || !allowed.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status. Use: submitted, under_review, shortlisted, rejected, accepted' });
+      return res.status(400).json({ message: `Invalid status. Use: ${allowed.join(', ')}` });
     }
-    const application = await Application.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    )
+    const scope = await applicationScope(req.user);
+    const current = await Application.findOne({ ...scope, _id: req.params.id }).select('status').lean();
+    if (!current) return res.status(404).json({ message: 'Application not found' });
+    const updated = await setReviewStatus(current, status, { actor: req.user, notes });
+    const application = await Application.findById(updated._id)
       .populate('opportunityId', 'title company type')
       .populate('userId', 'name email')
       .lean();
-    if (!application) return res.status(404).json({ message: 'Application not found' });
     res.json(application);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message, ...(err.code && { code: err.code }) });
+  }
+});
+
+const BULK_MAX_ITEMS = 500;
+// What setReviewStatus and requestRefund read from each application
+const BULK_FIELDS = 'status userId opportunityId amountPaid currency paymentTransactionId refundedAt refundAmount updatedAt';
+
+// Admin/employer: apply one action to many applications.
+// Body: { action: 'status'|'reject'|'refund', status? (for 'status'), notes?, reason?, amount? (refund per item, default remaining),
+//         ids?: [applicationId] | filter?: { opportunityId, status } }
+// Items are processed one by one; failures are reported per item and never abort the batch.
+// Refunds move money, so they need a recent second-factor confirmation like the single refund route.
+const bulkStepUp = (req, res, next) => (req.body?.action === 'refund' && req.user.role === 'admin' ? requireRecentSecondFactor(req, res, next) : next());
+
+router.post('/admin/bulk', protect, authorize('admin', 'employer'), bulkStepUp, async (req, res) => {
+  try {
+    const { action, notes, reason, ids, filter } = req.body || {};
+    if (!['status', 'reject', 'refund'].includes(action)) {
+      return res.status(400).json({ message: 'action must be status, reject or refund' });
+    }
+    if (action === 'refund' && req.user.role !== 'admin') return res.status(403).json({ message: 'Admin access required' });
+    const allowed = APPLICATION_STATUSES.filter((s) => s !== 'pending_payment');
+    const status = action === 'reject' ? 'rejected' : req.body.status;
+    if (action === 'status' && !allowed.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use: ${allowed.join(', ')}` });
+    }
+    const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+    if (amount !== undefined && !(amount > 0)) return res.status(400).json({ message: 'Amount must be a positive number' });
+
+    const scope = await applicationScope(req.user);
+    const results = [];
+    let targets;
+    if (Array.isArray(ids)) {
+      if (ids.length === 0) return res.status(400).json({ message: 'ids must not be empty' });
+      if (ids.length > BULK_MAX_ITEMS) return res.status(400).json({ message: `At most ${BULK_MAX_ITEMS} applications per request` });
+      const unique = [...new Set(ids.map(String))];
+      const valid = unique.filter((id) => mongoose.isValidObjectId(id));
+      const found = await Application.find({ $and: [scope, { _id: { $in: valid } }] })
+        .select(BULK_FIELDS)
+        .populate('opportunityId', 'applicationFee currency')
+        .lean();
+      const byId = new Map(found.map((a) => [String(a._id), a]));
+      targets = [];
+      for (const id of unique) {
+        if (byId.has(id)) targets.push(byId.get(id));
+        else results.push({ id, ok: false, error: 'Application not found' });
+      }
+    } else if (filter?.opportunityId && filter?.status) {
+      if (!mongoose.isValidObjectId(filter.opportunityId)) return res.status(400).json({ message: 'Invalid filter.opportunityId' });
+      if (!APPLICATION_STATUSES.includes(filter.status)) return res.status(400).json({ message: 'Invalid filter.status' });
+      targets = await Application.find({ $and: [scope, { opportunityId: filter.opportunityId, status: filter.status }] })
+        .select(BULK_FIELDS)
+        .populate('opportunityId', 'applicationFee currency')
+        .sort({ createdAt: 1 })
+        .limit(BULK_MAX_ITEMS + 1)
+        .lean();
+      if (targets.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({ message: `Filter matches more than ${BULK_MAX_ITEMS} applications; narrow it or pass ids` });
+      }
+    } else {
+      return res.status(400).json({ message: 'Provide ids or filter { opportunityId, status }' });
+    }
+
+    for (const application of targets) {
+      const id = String(application._id);
+      try {
+        if (action === 'refund') {
+          const refund = await requestRefund(application, { amount, reason, actor: req.user });
+          results.push({ id, ok: true, refundId: refund._id, amount: refund.amount, currency: refund.currency, refundStatus: refund.status });
+        } else {
+          await setReviewStatus(application, status, { actor: req.user, notes });
+          results.push({ id, ok: true, from: application.status, to: status });
+        }
+      } catch (err) {
+        results.push({ id, ok: false, error: err.message, ...(err.code && { code: err.code }) });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.ok).length;
+    res.json({ action, total: results.length, succeeded, failed: results.length - succeeded, results });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin/employer: full status timeline including internal notes
+router.get('/admin/:id/history', protect, authorize('admin', 'employer'), async (req, res) => {
+  try {
+    const scope = await applicationScope(req.user);
+    const application = await Application.findOne({ ...scope, _id: req.params.id })
+      .select('status statusHistory')
+      .populate('statusHistory.actorId', 'name email role')
+      .lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    res.json({ status: application.status, history: application.statusHistory || [] });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: run payment reconciliation now (body: { maxAgeHours? }) — promotes paid applications stuck in pending_payment
+router.post('/admin/reconcile-payments', protect, adminOnly, async (req, res) => {
+  try {
+    const run = await runPaymentReconciliation({ trigger: 'manual', triggeredBy: req.user._id, maxAgeHours: req.body?.maxAgeHours });
+    res.json(run);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin: last reconciliation run and its report
+router.get('/admin/reconcile-payments/last', protect, adminOnly, async (req, res) => {
+  try {
+    const run = await lastPaymentReconciliation();
+    if (!run) return res.status(404).json({ message: 'Reconciliation has not run yet' });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: payment ledger for an application (every reference with its lifecycle and raw webhook events)
+router.get('/admin/:id/payments', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Application not found' });
+    const payments = await Payment.find({ applicationId: req.params.id }).sort({ createdAt: -1 }).lean();
+    const events = await WebhookEvent.find({ reference: { $in: payments.map((p) => p.reference) } })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ payments, webhookEvents: events });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -152,6 +443,7 @@ router.patch('/admin/:id/status', protect, adminOnly, async (req, res) => {
 router.get('/my', protect, async (req, res) => {
   try {
     const apps = await Application.find({ userId: req.user._id })
+      .select('-statusHistory')
       .populate('opportunityId', 'title company type deadline')
       .sort({ createdAt: -1 })
       .lean();
@@ -167,7 +459,7 @@ router.get('/saved', protect, async (req, res) => {
     const user = await User.findById(req.user._id).select('savedOpportunities').lean();
     const ids = user?.savedOpportunities || [];
     if (ids.length === 0) return res.json([]);
-    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).lean();
+    const opportunities = await Opportunity.find({ _id: { $in: ids }, ...openFilter() }).lean();
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -180,20 +472,23 @@ async function getPaymentLink(application, opportunity, user) {
   const callbackUrl = `${baseUrl}?payment=done&reference=APP-${application._id}`;
   const cancelUrl = `${baseUrl.split('?')[0]}?cancelled=1`;
   const reference = `APP-${application._id}-${Date.now()}`;
-  const amount = opportunity?.applicationFee ?? 350;
+  const amount = amountDue(application, opportunity);
+  const currency = feeCurrency(opportunity);
   console.log('[Paystack] Initializing:', { reference, amount, callbackUrl: callbackUrl.slice(0, 60) + '...', email: user.email?.slice(0, 3) + '***' });
   const { paymentLink } = await initializeTransaction({
     reference,
     amount,
-    currency: 'KES',
+    currency,
     callbackUrl,
     cancelUrl,
     customer: { email: user.email, name: user.name || 'Applicant' },
   });
+  await recordPaymentAttempt({ reference, applicationId: application._id, userId: user._id, amount, currency, method: 'checkout' });
   return paymentLink;
 }
 
-// Create application: upload resume (and recommendation letter for attachment), then return Paystack payment link
+// Create application: upload resume (and recommendation letter for attachment), then return Paystack payment link.
+// Optional couponCode; a coupon that waives the whole fee submits the application without payment.
 router.post(
   '/',
   protect,
@@ -203,14 +498,17 @@ router.post(
   ]),
   async (req, res) => {
     try {
-      const { opportunityId, coverLetter } = req.body;
+      const { opportunityId, coverLetter, couponCode } = req.body;
       const opportunity = await Opportunity.findById(opportunityId);
       if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
-      if (!opportunity.isActive) return res.status(400).json({ message: 'Opportunity is closed' });
+      const closed = closedMessage(opportunity);
+      if (closed) return res.status(400).json({ message: closed });
 
       const existing = await Application.findOne({ userId: req.user._id, opportunityId });
       if (existing && existing.status !== 'pending_payment')
         return res.status(400).json({ message: 'You have already applied' });
+      // Validate the coupon before uploading documents so a bad code fails fast
+      if (couponCode) await findValidCoupon(couponCode, { opportunity, userId: req.user._id, applicationId: existing?._id });
 
       const resumeFile = req.files?.resume?.[0];
       if (!resumeFile) return res.status(400).json({ message: 'Resume is required' });
@@ -249,6 +547,25 @@ router.post(
           recommendationLetterUrl,
           coverLetter: coverLetter || undefined,
           status: 'pending_payment',
+          statusHistory: [historyEntry({ event: 'created', to: 'pending_payment', actor: req.user })],
+        });
+      }
+
+      if (couponCode) {
+        await applyCoupon(application, opportunity, couponCode);
+        await application.save();
+      }
+
+      const amount = amountDue(application, opportunity);
+      if (amount === 0) {
+        const { application: submitted } = await applyFeeWaiver(application, { actor: req.user, currency: feeCurrency(opportunity) });
+        return res.status(200).json({
+          application: submitted || application,
+          paymentLink: null,
+          requiresPayment: false,
+          amount: 0,
+          currency: feeCurrency(opportunity),
+          message: 'Application submitted. Your application fee was waived.',
         });
       }
 
@@ -257,17 +574,57 @@ router.post(
         application,
         paymentLink,
         requiresPayment: true,
-        amount: opportunity.applicationFee ?? 350,
+        amount,
+        ...(application.couponCode && { couponCode: application.couponCode, discountAmount: application.discountAmount }),
         message: 'Application saved. Complete payment via the link to finish.',
       });
     } catch (err) {
       console.error('[Paystack] Create application error:', err.message);
-      res.status(500).json({ message: err.message });
+      res.status(err.status || 500).json({ message: err.message });
     }
   }
 );
 
-// Paystack webhook handler (charge.success, transfer.success, transfer.failed)
+// Webhook events are keyed by event name + Paystack data id, so redeliveries are recognized
+function webhookEventKey(event, data, rawBody) {
+  const id = data?.id ?? data?.transfer_code ?? data?.reference;
+  if (id != null) return `${event}:${id}`;
+  return `${event}:sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+async function handlePaystackEvent(event, data) {
+  if (event === 'charge.success') {
+    const reference = data?.reference;
+    if (!applicationIdFromReference(reference)) return 'ignored';
+    await reconcilePayment(reference, fromPaystackTransaction(data), { source: 'webhook' });
+    return 'processed';
+  }
+
+  if (event.startsWith('refund.')) {
+    return handleRefundEvent(event, data);
+  }
+
+  if (event === 'transfer.success' || event === 'transfer.failed' || event === 'transfer.reversed') {
+    const outcome = await handleTransferEvent(event, data);
+    const transferCode = data?.transfer_code || data?.id;
+    if (outcome === 'ignored' && event === 'transfer.success' && transferCode) {
+      // Transfers initiated before the refund ledger recorded their amount on the application
+      const legacy = await Application.findOneAndUpdate(
+        { refundTransferCode: String(transferCode), refundedAt: null },
+        { $set: { refundedAt: new Date() } }
+      );
+      if (legacy) return 'processed';
+    }
+    return outcome;
+  }
+  return 'ignored';
+}
+
+// A redelivery re-runs an event that failed, or one stuck in "received" this long (its handler died)
+const WEBHOOK_STUCK_MS = 60 * 1000;
+
+// Paystack webhook handler (charge.success, refund.*, transfer.success, transfer.failed)
+// Every event is stored in WebhookEvent first; redeliveries are counted, and skipped once processed/ignored.
 export async function paystackWebhookHandler(req, res) {
   const rawBody = req.body?.toString?.() || (typeof req.body === 'string' ? req.body : '');
   const signature = req.headers['x-paystack-signature'];
@@ -283,43 +640,29 @@ export async function paystackWebhookHandler(req, res) {
   }
   const event = body?.event;
   const data = body?.data;
-  if (!data) return;
+  if (!event || !data) return;
 
-  if (event === 'charge.success') {
-    const reference = data?.reference;
-    const id = data?.id;
-    const amount = data?.amount;
-    const auth = data?.authorization;
-    if (reference && reference.startsWith('APP-')) {
-      const applicationId = reference.replace(/^APP-/, '').replace(/-\d+$/, '');
-      const application = await Application.findById(applicationId);
-      if (application && application.status === 'pending_payment') {
-        application.status = 'submitted';
-        application.paymentTransactionId = String(id ?? reference);
-        if (amount != null) application.amountPaid = Number(amount) / 100;
-        await application.save();
-        if (application.userId && auth?.authorization_code && auth?.reusable) {
-          await User.findByIdAndUpdate(application.userId, {
-            paystackAuthorizationCode: auth.authorization_code,
-            paystackCardLast4: auth?.last4 || null,
-            paystackCardType: auth?.card_type || null,
-          });
-        }
-      }
+  const eventKey = webhookEventKey(event, data, rawBody);
+  let stored;
+  try {
+    stored = await WebhookEvent.create({ eventKey, event, reference: data?.reference, payload: body });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error('[Paystack] Could not store webhook event:', err.message);
+      return;
     }
-    return;
+    stored = await WebhookEvent.findOneAndUpdate({ eventKey }, { $inc: { deliveries: 1 } }, { new: true }).catch(() => null);
+    const retry =
+      stored?.status === 'failed' ||
+      (stored?.status === 'received' && Date.now() - stored.createdAt.getTime() > WEBHOOK_STUCK_MS);
+    if (!retry) return;
   }
-
-  if (event === 'transfer.success' || event === 'transfer.failed') {
-    const transferCode = data?.transfer_code || data?.id;
-    const status = data?.status;
-    if (transferCode && status === 'success') {
-      const app = await Application.findOne({ refundTransferCode: String(transferCode) });
-      if (app) {
-        app.refundedAt = new Date();
-        await app.save();
-      }
-    }
+  try {
+    const outcome = await handlePaystackEvent(event, data);
+    await WebhookEvent.updateOne({ _id: stored._id }, { $set: { status: outcome, processedAt: new Date() }, $unset: { error: 1 } });
+  } catch (err) {
+    console.error(`[Paystack] Webhook ${eventKey} failed:`, err.message);
+    await WebhookEvent.updateOne({ _id: stored._id }, { $set: { status: 'failed', error: err.message } }).catch(() => {});
   }
 }
 
@@ -333,34 +676,100 @@ router.post('/verify-payment', protect, async (req, res) => {
     if (!reference.startsWith('APP-')) {
       return res.status(400).json({ message: 'Invalid reference' });
     }
+    const applicationId = applicationIdFromReference(reference);
+    const owned = applicationId && (await Application.exists({ _id: applicationId, userId: req.user._id }));
+    if (!owned) return res.status(404).json({ verified: false, message: 'Application not found' });
     const result = await verifyTransaction(reference);
+    await reconcilePayment(reference, fromPaystackTransaction(result.data), { source: 'verify', actor: req.user });
     if (!result.verified) {
       return res.json({ verified: false, message: 'Payment not completed' });
     }
-    const applicationId = reference.replace(/^APP-/, '').replace(/-\d+$/, '');
+    res.json({ verified: true });
+  } catch (err) {
+    res.status(400).json({ verified: false, message: err.message || 'Verification failed' });
+  }
+});
+
+// Preview a coupon for an opportunity (query: code, opportunityId) — nothing is reserved
+router.get('/coupons/validate', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.query.opportunityId)) {
+      return res.status(400).json({ valid: false, message: 'Invalid opportunityId' });
+    }
+    const opportunity = await Opportunity.findById(req.query.opportunityId).lean();
+    if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
+    const coupon = await findValidCoupon(req.query.code, { opportunity, userId: req.user._id });
+    const fee = baseFee(opportunity);
+    const discountAmount = computeDiscount(coupon, fee);
+    res.json({
+      valid: true,
+      code: coupon.code,
+      description: coupon.description,
+      fee,
+      currency: feeCurrency(opportunity),
+      discountAmount,
+      amountDue: Math.max(0, fee - discountAmount),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ valid: false, message: err.message });
+  }
+});
+
+// Apply a coupon to a pending_payment application (body: { code }); a full waiver submits it
+router.post('/:id/coupon', protect, async (req, res) => {
+  try {
     const application = await Application.findOne({
-      _id: applicationId,
+      _id: req.params.id,
       userId: req.user._id,
       status: 'pending_payment',
-    });
-    if (application) {
-      const tx = result.data || {};
-      application.status = 'submitted';
-      application.paymentTransactionId = String(tx.id ?? tx.reference ?? reference);
-      if (tx.amount != null) application.amountPaid = Number(tx.amount) / 100;
-      await application.save();
-      const auth = result.authorization || tx.authorization;
-      if (auth?.authorization_code && auth?.reusable) {
-        await User.findByIdAndUpdate(req.user._id, {
-          paystackAuthorizationCode: auth.authorization_code,
-          paystackCardLast4: auth?.last4 || null,
-          paystackCardType: auth?.card_type || null,
-        });
-      }
+    }).populate('opportunityId');
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    const closed = closedMessage(application.opportunityId);
+    if (closed) return res.status(400).json({ message: closed });
+    const opportunity = application.opportunityId;
+    await applyCoupon(application, opportunity, req.body.code);
+    await application.save();
+    const amount = amountDue(application, opportunity);
+    if (amount === 0) {
+      await applyFeeWaiver(application, { actor: req.user, currency: feeCurrency(opportunity) });
+      return res.json({
+        couponCode: application.couponCode,
+        discountAmount: application.discountAmount,
+        amount: 0,
+        requiresPayment: false,
+        message: 'Application submitted. Your application fee was waived.',
+      });
     }
-    res.json({ verified: true });
+    res.json({
+      couponCode: application.couponCode,
+      discountAmount: application.discountAmount,
+      amount,
+      currency: feeCurrency(opportunity),
+      requiresPayment: true,
+    });
   } catch (err) {
-    res.status(400).json({ verified: false, message: err.message || 'Verification failed' });
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Remove the coupon from a pending_payment application
+router.delete('/:id/coupon', protect, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'pending_payment',
+    }).populate('opportunityId');
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    await releaseCoupon(application);
+    await application.save();
+    res.json({
+      amount: amountDue(application, application.opportunityId),
+      currency: feeCurrency(application.opportunityId),
+      requiresPayment: true,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
 });
 
@@ -373,6 +782,12 @@ router.post('/:id/pay', protect, async (req, res) => {
       status: 'pending_payment',
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
+    const closed = closedMessage(application.opportunityId);
+    if (closed) return res.status(400).json({ message: closed });
+    if (amountDue(application, application.opportunityId) === 0) {
+      await applyFeeWaiver(application, { actor: req.user, currency: feeCurrency(application.opportunityId) });
+      return res.json({ paymentLink: null, requiresPayment: false, message: 'Application submitted. Your application fee was waived.' });
+    }
     const paymentLink = await getPaymentLink(application, application.opportunityId, req.user);
     res.json({
       paymentLink,
@@ -397,23 +812,40 @@ router.post('/:id/charge-saved-card', protect, async (req, res) => {
       status: 'pending_payment',
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
+    const closed = closedMessage(application.opportunityId);
+    if (closed) return res.status(400).json({ message: closed });
     const opp = application.opportunityId;
-    const amount = opp?.applicationFee ?? 350;
+    const amount = amountDue(application, opp);
+    const currency = feeCurrency(opp);
     const reference = `APP-${application._id}-${Date.now()}`;
-    const result = await chargeAuthorization({
-      email: user.email,
-      amount,
-      authorizationCode: user.paystackAuthorizationCode,
+    await recordPaymentAttempt({
       reference,
-      currency: 'KES',
-      metadata: { customer_name: user.name || 'Applicant' },
+      applicationId: application._id,
+      userId: req.user._id,
+      amount,
+      currency,
+      method: 'saved_card',
+      status: 'pending',
     });
-    if (result.status === 'success') {
-      application.status = 'submitted';
-      application.paymentTransactionId = result.reference;
-      application.amountPaid = amount;
-      await application.save();
+    let result;
+    try {
+      result = await chargeAuthorization({
+        email: user.email,
+        amount,
+        authorizationCode: user.paystackAuthorizationCode,
+        reference,
+        currency,
+        metadata: { customer_name: user.name || 'Applicant' },
+      });
+    } catch (chargeErr) {
+      await reconcilePayment(reference, { status: 'failed', gatewayResponse: chargeErr.message }, { source: 'saved_card', actor: req.user });
+      throw chargeErr;
     }
+    await reconcilePayment(
+      result.reference,
+      { status: result.status === 'success' ? 'success' : 'pending', amount, currency, authorization: result.authorization },
+      { source: 'saved_card', actor: req.user }
+    );
     res.json({
       reference: result.reference,
       status: result.status,
@@ -437,16 +869,39 @@ router.post('/:id/charge-mpesa', protect, async (req, res) => {
       status: 'pending_payment',
     }).populate('opportunityId');
     if (!application) return res.status(404).json({ message: 'Application not found' });
+    const closed = closedMessage(application.opportunityId);
+    if (closed) return res.status(400).json({ message: closed });
     const opp = application.opportunityId;
+    const currency = feeCurrency(opp);
+    if (!supportsMpesa(currency)) {
+      return res.status(400).json({ message: `M-Pesa is only available for KES fees. This fee is in ${currency}; use Pay now instead.` });
+    }
     const reference = `APP-${application._id}-${Date.now()}`;
-    const result = await chargeMpesa({
+    const amount = amountDue(application, opp);
+    // Record the attempt first: a fast charge.success webhook must find it, not race to create it
+    await recordPaymentAttempt({
       reference,
-      amount: opp?.applicationFee ?? 350,
-      currency: 'KES',
-      email: req.user.email,
-      phone: phone.trim(),
-      metadata: { customer_name: req.user.name || 'Applicant' },
+      applicationId: application._id,
+      userId: req.user._id,
+      amount,
+      currency,
+      method: 'mpesa',
+      status: 'pending',
     });
+    let result;
+    try {
+      result = await chargeMpesa({
+        reference,
+        amount,
+        currency,
+        email: req.user.email,
+        phone: phone.trim(),
+        metadata: { customer_name: req.user.name || 'Applicant' },
+      });
+    } catch (chargeErr) {
+      await reconcilePayment(reference, { status: 'failed', gatewayResponse: chargeErr.message }, { source: 'mpesa', actor: req.user });
+      throw chargeErr;
+    }
     res.json({
       reference: result.reference,
       status: result.status,
@@ -465,6 +920,7 @@ router.get('/:id', protect, async (req, res) => {
       _id: req.params.id,
       userId: req.user._id,
     })
+      .select('-statusHistory')
       .populate('opportunityId', 'title company type deadline')
       .lean();
     if (!app) return res.status(404).json({ message: 'Application not found' });
@@ -474,6 +930,35 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// Frontend: my application's status timeline (internal notes removed)
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const app = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+      .select('status statusHistory')
+      .lean();
+    if (!app) return res.status(404).json({ message: 'Application not found' });
+    res.json({ status: app.status, history: sanitizeHistory(app.statusHistory) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Frontend: refunds on my application (status only, no internal notes)
+router.get('/:id/refunds', protect, async (req, res) => {
+  try {
+    const owned = await Application.exists({ _id: req.params.id, userId: req.user._id });
+    if (!owned) return res.status(404).json({ message: 'Application not found' });
+    const refunds = await Refund.find({ applicationId: req.params.id }).sort({ createdAt: -1 }).lean();
+    const processed = refunds.filter((r) => r.status === 'processed').reduce((sum, r) => sum + r.amount, 0);
+    res.json({ refunds: refunds.map(sanitizeRefund), totalRefunded: processed });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Frontend: update application (e.g. cover letter; only when pending)
 router.patch('/:id', protect, async (req, res) => {
   try {
@@ -489,6 +974,7 @@ router.patch('/:id', protect, async (req, res) => {
     if (coverLetter !== undefined) application.coverLetter = coverLetter;
     await application.save();
     const updated = await Application.findById(application._id)
+      .select('-statusHistory')
       .populate('opportunityId', 'title company type deadline')
       .lean();
     res.json(updated);
@@ -497,7 +983,7 @@ router.patch('/:id', protect, async (req, res) => {
   }
 });
 
-// Frontend: withdraw application (only when pending_payment or submitted)
+// Frontend: withdraw application (only when the status graph allows it: pending_payment or submitted)
 router.delete('/:id', protect, async (req, res) => {
   try {
     const application = await Application.findOne({
@@ -505,14 +991,14 @@ router.delete('/:id', protect, async (req, res) => {
       userId: req.user._id,
     });
     if (!application) return res.status(404).json({ message: 'Application not found' });
-    const allowed = ['pending_payment', 'submitted'];
-    if (!allowed.includes(application.status)) {
-      return res.status(400).json({ message: 'Application cannot be withdrawn' });
-    }
-    await Application.findByIdAndDelete(application._id);
+    assertTransition(application.status, 'withdrawn', 'applicant');
+    // Conditional delete so a payment confirmed in the meantime isn't thrown away
+    const deleted = await Application.findOneAndDelete({ _id: application._id, status: application.status });
+    if (!deleted) return res.status(409).json({ message: 'Application status changed. Please reload and try again.' });
+    await releaseCoupon(deleted);
     res.json({ message: 'Application withdrawn' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message, ...(err.code && { code: err.code }) });
   }
 });
 
@@ -1,21 +1,53 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
 import { OAuth2Client } from 'google-auth-library';
 import User from '../models/User.js';
-import { protect } from '../middleware/auth.js';
+import { protect, adminOnly } from '../middleware/auth.js';
 import { sendOTPEmail, sendPasswordResetEmail } from '../utils/sendEmail.js';
-import { generateOTP, hashOTP } from '../utils/otp.js';
+import { generateOTP, hashOTP, otpMaxAttempts } from '../utils/otp.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  listSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  markSecondFactor,
+} from '../utils/tokens.js';
+import {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  twoFactorStatus,
+  twoFactorRequired,
+} from '../utils/twoFactor.js';
+import { assertNotLocked, recordFailure, recordFailureOrLock, clearFailures, listLocks, clearLocks, LOCK_KINDS } from '../utils/lockout.js';
 
 const router = express.Router();
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-function generateToken(id) {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-    algorithm: 'HS256',
-  });
+// Starts a session (recording the request's device and IP): a short-lived access token plus a rotating refresh token
+async function issueTokens(user, req, opts) {
+  const { token, refreshToken } = await createSession(user, req, opts);
+  return { token, refreshToken };
+}
+
+// Error response; lockouts (429) also tell the client when to retry
+function sendError(res, err) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status || 500).json({ message: err.message });
+}
+
+// Tokens for a completed sign-in, or a challenge to finish at POST /2fa/verify when 2FA is on
+async function signIn(user, req) {
+  if (user.twoFactor?.enabled) return { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user) };
+  return issueTokens(user, req);
 }
 
 router.post(
@@ -68,15 +100,26 @@ router.post(
       const { email, password } = req.body;
       const user = await User.findOne({ email });
       if (!user || !user.password) return res.status(401).json({ message: 'Invalid credentials' });
-      const match = await user.matchPassword(password);
-      if (!match) return res.status(401).json({ message: 'Invalid credentials' });
+      // A locked account answers exactly like a wrong password (no Retry-After either), so
+      // lockouts don't reveal which emails have accounts
+      try {
+        await assertNotLocked(user._id, 'login');
+        if (!(await user.matchPassword(password))) {
+          await recordFailureOrLock(user._id, 'login', { ip: req.ip });
+          return res.status(401).json({ message: 'Invalid credentials' });
+        }
+      } catch (err) {
+        if (err.status !== 429) throw err;
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+      await clearFailures(user._id, 'login');
       if (!user.emailVerified) {
         return res.status(403).json({ message: 'Please verify your email first' });
       }
       const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
-      res.json({ user: u, token: generateToken(user._id) });
+      res.json({ user: u, ...(await signIn(user, req)) });
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      sendError(res, err);
     }
   }
 );
@@ -130,7 +173,7 @@ router.post('/google', async (req, res) => {
       await user.save();
     }
     const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
-    res.json({ user: u, token: generateToken(user._id) });
+    res.json({ user: u, ...(await signIn(user, req)) });
   } catch (err) {
     console.error('Google sign-in error:', err.message);
     const message =
@@ -157,8 +200,16 @@ router.post(
       if (!user || !user.password) {
         return res.json({ message: 'If an account exists with that email, a reset link has been sent.' });
       }
+      // Reset requests count towards the password_reset lock; while locked no email is sent (same reply)
+      try {
+        await assertNotLocked(user._id, 'password_reset');
+      } catch {
+        return res.json({ message: 'If an account exists with that email, a reset link has been sent.' });
+      }
+      await recordFailure(user._id, 'password_reset', { ip: req.ip });
       const resetToken = crypto.randomBytes(32).toString('hex');
-      user.passwordResetToken = resetToken;
+      // Only the hash is stored, so a database leak doesn't expose working reset links
+      user.passwordResetToken = hashOTP(resetToken);
       user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
       await user.save();
       const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
@@ -190,7 +241,7 @@ router.post(
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
       const { token, password } = req.body;
       const user = await User.findOne({
-        passwordResetToken: token,
+        passwordResetToken: hashOTP(String(token)),
         passwordResetExpires: { $gt: new Date() },
       });
       if (!user) {
@@ -200,6 +251,10 @@ router.post(
       user.passwordResetToken = undefined;
       user.passwordResetExpires = undefined;
       await user.save();
+      // Whoever knew the old password is signed out everywhere
+      await revokeAllSessions(user._id, 'password_reset');
+      // Proving access to the inbox lifts the reset and login locks
+      await Promise.all([clearFailures(user._id, 'password_reset'), clearFailures(user._id, 'login')]);
       res.json({ message: 'Password updated. You can now log in.' });
     } catch (err) {
       res.status(500).json({ message: err.message });
@@ -219,28 +274,49 @@ router.post(
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
       const { email, otp } = req.body;
-      const hashedOTP = hashOTP(otp);
-      const user = await User.findOne({
-        email,
-        authProvider: 'email',
-        emailOTP: hashedOTP,
-        emailOTPExpires: { $gt: new Date() },
-      });
-      if (!user) {
+      const user = await User.findOne({ email, authProvider: 'email' });
+      if (!user || !user.emailOTP || !(user.emailOTPExpires > new Date())) {
         return res.status(400).json({ message: 'Invalid or expired OTP' });
       }
+      await assertNotLocked(user._id, 'otp');
+      const hashedOTP = hashOTP(otp);
+      const maxAttempts = otpMaxAttempts();
+      if (!crypto.timingSafeEqual(Buffer.from(hashedOTP), Buffer.from(user.emailOTP))) {
+        // The OTP itself is burned after OTP_MAX_ATTEMPTS wrong guesses; repeated bursts also lock the account.
+        // Counted atomically against this OTP, so concurrent guesses can't share one attempt.
+        const counted = await User.findOneAndUpdate(
+          { _id: user._id, emailOTP: user.emailOTP },
+          { $inc: { emailOTPAttempts: 1 } },
+          { new: true, projection: { emailOTPAttempts: 1 } }
+        );
+        const exhausted = !counted || counted.emailOTPAttempts >= maxAttempts;
+        if (counted && exhausted) {
+          await User.updateOne(
+            { _id: user._id, emailOTP: user.emailOTP },
+            { $unset: { emailOTP: 1, emailOTPExpires: 1 }, $set: { emailOTPAttempts: 0 } }
+          );
+        }
+        await recordFailureOrLock(user._id, 'otp', { ip: req.ip });
+        return res.status(400).json({
+          message: exhausted ? 'Too many incorrect codes. Please request a new OTP.' : 'Invalid or expired OTP',
+        });
+      }
+      // Consume the OTP only if it is still current and not burned by concurrent wrong guesses
+      const verified = await User.updateOne(
+        { _id: user._id, emailOTP: user.emailOTP, emailOTPAttempts: { $lt: maxAttempts } },
+        { $set: { emailVerified: true, emailOTPAttempts: 0 }, $unset: { emailOTP: 1, emailOTPExpires: 1 } }
+      );
+      if (verified.modifiedCount === 0) return res.status(400).json({ message: 'Invalid or expired OTP' });
       user.emailVerified = true;
-      user.emailOTP = undefined;
-      user.emailOTPExpires = undefined;
-      await user.save();
+      await clearFailures(user._id, 'otp');
       const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: true };
       res.json({
         message: 'Email verified successfully',
         user: u,
-        token: generateToken(user._id),
+        ...(await signIn(user, req)),
       });
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      sendError(res, err);
     }
   }
 );
@@ -258,8 +334,7 @@ router.post(
         const token = req.headers.authorization?.replace('Bearer ', '');
         if (token) {
           try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
-            user = await User.findById(decoded.id);
+            user = (await verifyAccessToken(token)).user;
           } catch {
             user = null;
           }
@@ -276,6 +351,7 @@ router.post(
       const otp = generateOTP();
       user.emailOTP = hashOTP(otp);
       user.emailOTPExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 min
+      user.emailOTPAttempts = 0;
       await user.save();
       const sent = await sendOTPEmail(user.email, otp);
       res.json({
@@ -293,16 +369,243 @@ router.get('/me', protect, async (req, res) => {
   res.json(req.user);
 });
 
-// Frontend compatibility: logout (stateless JWT — client clears token)
-router.post('/logout', (req, res) => {
-  res.json({ ok: true });
+// GET /2fa — two-factor status of the current user
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    res.json(await twoFactorStatus(req.user));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
-// Frontend compatibility: refresh — return current user and new token
-router.post('/refresh', protect, async (req, res) => {
-  const user = req.user;
-  const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
-  res.json({ user: u, token: generateToken(user._id) });
+// POST /2fa/setup — new secret and otpauth:// URI (show as a QR code); confirm with /2fa/enable
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    res.json(await startTwoFactorSetup(req.user._id));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST /2fa/enable — body: { code } from the authenticator app; returns backup codes (shown once).
+// Sessions signed in without the second factor are ended; this device gets new tokens.
+router.post('/2fa/enable', protect, [body('code').notEmpty().withMessage('Code is required')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const backupCodes = await enableTwoFactor(req.user._id, req.body.code);
+    await revokeAllSessions(req.user._id, 'two_factor_enabled');
+    const fresh = await User.findById(req.user._id).select('-password');
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+      ...(await issueTokens(fresh, req, { secondFactor: true })),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST /2fa/verify — finish a 2FA login. Body: { challengeToken, code } or { challengeToken, backupCode }
+router.post('/2fa/verify', [body('challengeToken').notEmpty().withMessage('challengeToken is required')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { userId, tokenVersion } = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = await User.findById(userId).select('-password');
+    if (!user || (user.tokenVersion || 0) !== tokenVersion) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+    const { backupCodesRemaining } = await verifySecondFactor(user._id, req.body, { ip: req.ip });
+    const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
+    res.json({ user: u, ...(await issueTokens(user, req, { secondFactor: true })), backupCodesRemaining });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /2fa/confirm — step-up for sensitive actions (refunds, transfers). Body: { code } or { backupCode }
+router.post('/2fa/confirm', protect, async (req, res) => {
+  try {
+    if (!req.sessionId) return res.status(401).json({ message: 'Please log in again to confirm this session' });
+    const { backupCodesRemaining } = await verifySecondFactor(req.user._id, req.body, { ip: req.ip });
+    await markSecondFactor(req.sessionId);
+    res.json({ ok: true, backupCodesRemaining });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /2fa/backup-codes — replace backup codes. Body: { code } or { backupCode }
+router.post('/2fa/backup-codes', protect, async (req, res) => {
+  try {
+    await verifySecondFactor(req.user._id, req.body, { ip: req.ip });
+    res.json({ backupCodes: await regenerateBackupCodes(req.user._id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /2fa/disable — body: { code } or { backupCode }; not allowed when config requires 2FA for the role
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    if (twoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+    await verifySecondFactor(req.user._id, req.body, { ip: req.ip });
+    await disableTwoFactor(req.user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-password — signs out every other session and returns fresh tokens for this one
+router.post(
+  '/change-password',
+  protect,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const user = await User.findById(req.user._id);
+      if (!user.password) return res.status(400).json({ message: 'This account signs in with Google and has no password' });
+      await assertNotLocked(user._id, 'login');
+      const match = await user.matchPassword(req.body.currentPassword);
+      if (!match) {
+        await recordFailureOrLock(user._id, 'login', { ip: req.ip });
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+      await clearFailures(user._id, 'login');
+      user.password = req.body.newPassword;
+      await user.save();
+      await revokeAllSessions(user._id, 'password_change');
+      const fresh = await User.findById(user._id).select('-password');
+      res.json({ message: 'Password updated', ...(await issueTokens(fresh, req)) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// POST /logout — revokes the session of the given refresh token (or of the access token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      await revokeSession({ refreshToken });
+    } else {
+      const token = req.headers.authorization?.startsWith('Bearer') ? req.headers.authorization.split(' ')[1] : null;
+      const { user, sessionId } = token ? await verifyAccessToken(token).catch(() => ({})) : {};
+      if (sessionId) await revokeSession({ sessionId, userId: user._id });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /logout-all — ends every session of the current user, including this one
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /refresh — exchange a refresh token (body: { refreshToken }) for new tokens; the old one stops working
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await rotateRefreshToken(req.body?.refreshToken, req);
+    const u = { _id: user._id, name: user.name, email: user.email, role: user.role, avatar: user.avatar, emailVerified: user.emailVerified };
+    res.json({ user: u, token, refreshToken });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET /sessions — where the current user is signed in
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json({
+      items: sessions.map((s) => ({ ...s, current: !!req.sessionId && String(s._id) === req.sessionId })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE /sessions/:id — sign out one of the current user's sessions
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Session not found' });
+    const revoked = await revokeSession({ sessionId: req.params.id, userId: req.user._id }, 'user');
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: GET /admin/users/:id/sessions — a user's active sessions
+router.get('/admin/users/:id/sessions', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' });
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json({ items: await listSessions(user._id) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: POST /admin/users/:id/logout — force-logout a user everywhere
+router.post('/admin/users/:id/logout', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' });
+    const user = await User.findById(req.params.id).select('_id email');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    await revokeAllSessions(user._id, 'admin');
+    console.log(`[Auth] Admin ${req.user.email} signed out ${user.email} from all sessions`);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: GET /admin/locks — locked accounts. Query: userId, kind, includeFailures=true (also unlocked accounts with failures), page, limit
+router.get('/admin/locks', protect, adminOnly, async (req, res) => {
+  try {
+    const { userId, kind } = req.query;
+    if (userId && !mongoose.isValidObjectId(userId)) return res.status(400).json({ message: 'Invalid userId' });
+    if (kind && !LOCK_KINDS.includes(kind)) return res.status(400).json({ message: `kind must be one of: ${LOCK_KINDS.join(', ')}` });
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    res.json(await listLocks({ userId, kind, includeFailures: req.query.includeFailures === 'true', page, limit }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: DELETE /admin/locks/:userId — clear a user's locks and failure counts (?kind= for one kind only)
+router.delete('/admin/locks/:userId', protect, adminOnly, async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(404).json({ message: 'User not found' });
+    if (kind && !LOCK_KINDS.includes(kind)) return res.status(400).json({ message: `kind must be one of: ${LOCK_KINDS.join(', ')}` });
+    const cleared = await clearLocks(req.params.userId, kind);
+    console.log(`[Auth] Admin ${req.user.email} cleared ${cleared} lock(s) for user ${req.params.userId}`);
+    res.json({ ok: true, cleared });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
 export default router;
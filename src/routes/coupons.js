@@ -0,0 +1,127 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+import { normalizeCode } from '../utils/coupons.js';
+import { SUPPORTED_CURRENCIES } from '../utils/fees.js';
+
+const router = express.Router();
+
+const FIELDS = ['description', 'discountType', 'value', 'startsAt', 'expiresAt', 'maxUses', 'perUserLimit', 'opportunityIds', 'categories', 'isActive', 'currency'];
+
+const couponValidators = (optional) => {
+  const v = (field) => (optional ? body(field).optional() : body(field));
+  return [
+    v('discountType').isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+    v('value').isFloat({ min: 0 }).withMessage('value must be a non-negative number'),
+    body('value').custom((value, { req }) => req.body.discountType !== 'percentage' || Number(value) <= 100).withMessage('Percentage cannot exceed 100'),
+    body('startsAt').optional({ nullable: true }).isISO8601(),
+    body('expiresAt').optional({ nullable: true }).isISO8601(),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1 }),
+    body('perUserLimit').optional().isInt({ min: 1 }),
+    body('opportunityIds').optional().isArray(),
+    body('opportunityIds.*').optional().isMongoId(),
+    body('categories').optional().isArray(),
+    body('currency').optional().toUpperCase().isIn(SUPPORTED_CURRENCIES).withMessage(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  ];
+};
+
+function pick(src) {
+  const out = {};
+  for (const k of FIELDS) {
+    if (src[k] !== undefined) out[k] = src[k];
+  }
+  return out;
+}
+
+// Admin: list coupons
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Coupon.countDocuments(filter),
+    ]);
+    res.json({ coupons, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: create coupon (a 100% percentage coupon is a full fee waiver)
+router.post(
+  '/',
+  protect,
+  adminOnly,
+  [body('code').trim().notEmpty().withMessage('Code is required').isLength({ max: 40 }), ...couponValidators(false)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const code = normalizeCode(req.body.code);
+      const existing = await Coupon.findOne({ code });
+      if (existing) return res.status(400).json({ message: 'A coupon with that code already exists' });
+      const coupon = await Coupon.create({ ...pick(req.body), code, createdBy: req.user._id });
+      res.status(201).json(coupon);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+router.get('/:id', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Coupon not found' });
+    const coupon = await Coupon.findById(req.params.id).populate('opportunityIds', 'title company').lean();
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+    res.json(coupon);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: update coupon (code is immutable; deactivate instead of deleting)
+router.patch('/:id', protect, adminOnly, couponValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const updates = pick(req.body);
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Coupon not found' });
+    const current = await Coupon.findById(req.params.id).select('discountType value').lean();
+    if (!current) return res.status(404).json({ message: 'Coupon not found' });
+    // The percentage cap applies to the resulting coupon, whichever of type/value the body changes
+    const discountType = updates.discountType ?? current.discountType;
+    if (discountType === 'percentage' && Number(updates.value ?? current.value) > 100) {
+      return res.status(400).json({ message: 'Percentage cannot exceed 100' });
+    }
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+    res.json(coupon);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: redemptions of a coupon
+router.get('/:id/redemptions', protect, adminOnly, async (req, res) => {
+  try {
+    const redemptions = await CouponRedemption.find({ couponId: req.params.id })
+      .populate('userId', 'name email')
+      .populate({ path: 'applicationId', select: 'status opportunityId', populate: { path: 'opportunityId', select: 'title company' } })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(redemptions);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
@@ -1,29 +1,165 @@
 import express from 'express';
 import Opportunity from '../models/Opportunity.js';
 import Application from '../models/Application.js';
-import { protect } from '../middleware/auth.js';
+import { protect, adminOnly, authorize, opportunityScope, applicationScope, loadManagedOpportunity } from '../middleware/auth.js';
+import { sendCsv } from '../utils/csv.js';
+import { openFilter } from '../utils/opportunityAvailability.js';
+import {
+  CONVERSION_GROUPINGS,
+  parseReportQuery,
+  groupColumns,
+  revenueReport,
+  paymentMethodReport,
+  conversionReport,
+  opportunityFunnel,
+} from '../utils/reports.js';
 
 const router = express.Router();
 
-// GET /dashboard/stats — counts for dashboard (admin sees all; student sees own)
+// Fees collected and refunded per currency — amounts in different currencies are never summed together
+async function revenueByCurrency(scope) {
+  const rows = await Application.aggregate([
+    { $match: { ...scope, amountPaid: { $gt: 0 } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', 'KES'] },
+        paidApplications: { $sum: 1 },
+        collected: { $sum: '$amountPaid' },
+        refunded: { $sum: { $ifNull: ['$refundAmount', 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return rows.map(({ _id, ...totals }) => ({ currency: _id, ...totals, net: Math.round((totals.collected - totals.refunded) * 100) / 100 }));
+}
+
+// GET /dashboard/stats — counts for dashboard (admin sees all; employer sees own organization; student sees own)
 router.get('/stats', protect, async (req, res) => {
   try {
-    const isAdmin = req.user.role === 'admin';
-    const [opportunitiesCount, applicationsCount, myApplicationsCount] = await Promise.all([
-      Opportunity.countDocuments(isAdmin ? {} : { isActive: true }),
-      isAdmin ? Application.countDocuments() : Application.countDocuments({ userId: req.user._id }),
+    const isManager = req.user.role === 'admin' || req.user.role === 'employer';
+    const scope = isManager ? await applicationScope(req.user) : null;
+    const [opportunitiesCount, applicationsCount, myApplicationsCount, revenue] = await Promise.all([
+      Opportunity.countDocuments(isManager ? opportunityScope(req.user) : openFilter()),
+      isManager
+        ? Application.countDocuments(scope)
+        : Application.countDocuments({ userId: req.user._id }),
       Application.countDocuments({ userId: req.user._id }),
+      isManager ? revenueByCurrency(scope) : null,
     ]);
     res.json({
       opportunities: opportunitiesCount,
       applications: applicationsCount,
       myApplications: myApplicationsCount,
+      ...(revenue && { revenue }),
     });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Respond with report rows as JSON, or as a CSV download when ?format=csv
+function sendReport(req, res, name, range, rows, columns) {
+  if (req.query.format === 'csv') {
+    const stamp = new Date().toISOString().slice(0, 10);
+    return sendCsv(res, `${name}-${stamp}.csv`, columns.map((key) => ({ key })), rows);
+  }
+  res.json({ from: range.from || null, to: range.to || null, groupBy: range.groupBy, rows });
+}
+
+// Admin: fees collected, refunded and net per period/opportunity/category/currency
+// Query: from, to (ISO dates), groupBy (day|week|month|opportunity|category|currency), format=csv
+router.get('/admin/reports/revenue', protect, adminOnly, async (req, res) => {
+  try {
+    const range = parseReportQuery(req.query);
+    const rows = await revenueReport(range);
+    sendReport(req, res, `revenue-by-${range.groupBy}`, range, rows, [
+      ...groupColumns(range.groupBy),
+      'currency',
+      'payments',
+      'collected',
+      'refunds',
+      'refunded',
+      'net',
+    ]);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin: M-Pesa vs card split of payments (query: from, to, format=csv)
+router.get('/admin/reports/payment-methods', protect, adminOnly, async (req, res) => {
+  try {
+    const range = parseReportQuery(req.query, { defaultGroupBy: 'currency', groupings: ['currency'] });
+    const rows = await paymentMethodReport(range);
+    sendReport(req, res, 'payment-methods', range, rows, ['method', 'currency', 'payments', 'collected', 'refunded']);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin: pending_payment → paid conversion for applications created in the range
+// Query: from, to, groupBy (day|week|month|opportunity|category), format=csv
+router.get('/admin/reports/conversion', protect, adminOnly, async (req, res) => {
+  try {
+    const range = parseReportQuery(req.query, { groupings: CONVERSION_GROUPINGS });
+    const rows = await conversionReport(range);
+    sendReport(req, res, `conversion-by-${range.groupBy}`, range, rows, [
+      ...groupColumns(range.groupBy),
+      'created',
+      'paid',
+      'waived',
+      'pending',
+      'conversionRate',
+    ]);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin: totals per currency, method split and overall conversion in one call (query: from, to)
+router.get('/admin/reports/summary', protect, adminOnly, async (req, res) => {
+  try {
+    const range = parseReportQuery(req.query, { defaultGroupBy: 'currency' });
+    const [totals, methods, conversion] = await Promise.all([
+      revenueReport({ ...range, groupBy: 'currency' }),
+      paymentMethodReport(range),
+      conversionReport({ ...range, groupBy: 'month' }),
+    ]);
+    const created = conversion.reduce((sum, r) => sum + r.created, 0);
+    const converted = conversion.reduce((sum, r) => sum + r.paid + r.waived, 0);
+    res.json({
+      from: range.from || null,
+      to: range.to || null,
+      totals,
+      methods,
+      conversion: {
+        created,
+        paid: conversion.reduce((sum, r) => sum + r.paid, 0),
+        waived: conversion.reduce((sum, r) => sum + r.waived, 0),
+        pending: conversion.reduce((sum, r) => sum + r.pending, 0),
+        conversionRate: created ? Math.round((converted / created) * 10000) / 10000 : 0,
+      },
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin/employer: funnel for one opportunity (views, saves, status counts, drop-off, timings)
+router.get(
+  '/admin/opportunities/:id/funnel',
+  protect,
+  authorize('admin', 'employer'),
+  loadManagedOpportunity,
+  async (req, res) => {
+    try {
+      res.json(await opportunityFunnel(req.opportunity));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
 // GET /dashboard/activity — recent activity (e.g. recent applications)
 router.get('/activity', protect, async (req, res) => {
   try {
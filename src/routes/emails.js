@@ -0,0 +1,103 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import OutboundEmail from '../models/OutboundEmail.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+import { resendEmail, processOutbox, mailTransportName, getDevMailbox, clearDevMailbox } from '../utils/mailer.js';
+
+const router = express.Router();
+
+// Admin: inspect the outbox (filter by status/category/recipient)
+router.get('/admin/outbox', protect, adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.category) filter.category = String(req.query.category);
+    if (req.query.to) filter.to = String(req.query.to).toLowerCase().trim();
+    const [emails, total, counts] = await Promise.all([
+      OutboundEmail.find(filter)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      OutboundEmail.countDocuments(filter),
+      OutboundEmail.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+    res.json({
+      emails,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+      transport: mailTransportName(),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: resend every dead email except sensitive ones (must be before /:id routes)
+router.post('/admin/outbox/resend-failed', protect, adminOnly, async (req, res) => {
+  try {
+    const result = await OutboundEmail.updateMany(
+      { status: 'dead', sensitive: { $ne: true } },
+      { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: 1, lockedAt: 1 } }
+    );
+    processOutbox().catch((err) => console.error('[Mail] Outbox run failed:', err.message));
+    res.json({ requeued: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: one outbox record (sensitive bodies are hidden)
+router.get('/admin/outbox/:id', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Email not found' });
+    const email = await OutboundEmail.findById(req.params.id).lean();
+    if (!email) return res.status(404).json({ message: 'Email not found' });
+    if (email.sensitive) {
+      delete email.text;
+      delete email.html;
+    }
+    res.json(email);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: resend a failed email
+router.post('/admin/outbox/:id/resend', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Email not found' });
+    const email = await resendEmail(req.params.id);
+    if (!email) return res.status(400).json({ message: 'Email not found or already sent' });
+    res.json({ message: 'Email re-queued', _id: email._id, status: email.status });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Dev mailbox (MAIL_TRANSPORT=memory, never in production)
+function devMailboxOnly(req, res, next) {
+  if (process.env.NODE_ENV === 'production' || mailTransportName() !== 'memory') {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+  next();
+}
+
+router.get('/dev/mailbox', devMailboxOnly, (req, res) => {
+  const to = req.query.to ? String(req.query.to).toLowerCase() : null;
+  const emails = getDevMailbox();
+  res.json(to ? emails.filter((e) => String(e.to).toLowerCase() === to) : emails);
+});
+
+router.delete('/dev/mailbox', devMailboxOnly, (req, res) => {
+  clearDevMailbox();
+  res.json({ cleared: true });
+});
+
+export default router;
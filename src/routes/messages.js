@@ -1,30 +1,167 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Application from '../models/Application.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Stub routes for frontend compatibility (no Message model yet).
-// GET /messages — return empty list
-router.get('/', protect, (req, res) => {
-  res.json([]);
+// Threads are tied to an application. Applicants see only their own; admins see all.
+function conversationScope(user) {
+  return user.role === 'admin' ? {} : { applicantId: user._id };
+}
+
+// Messages the given user has not read yet are those sent by the other side
+function unreadFilter(user) {
+  if (user.role === 'admin') return { senderRole: 'applicant', readAt: null };
+  return { applicantId: user._id, senderRole: 'admin', readAt: null };
+}
+
+function senderRoleFor(user) {
+  return user.role === 'admin' ? 'admin' : 'applicant';
+}
+
+// Find-or-create the application's thread. When both sides send the first message at once,
+// one upsert loses on the unique applicationId index; retrying finds the thread the other created.
+async function upsertConversation(application, update) {
+  const run = () => Conversation.findOneAndUpdate({ applicationId: application._id }, update, { new: true, upsert: true });
+  try {
+    return await run();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return run();
+  }
+}
+
+// GET /messages — list my threads (latest first) with per-thread unread counts
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+    const filter = conversationScope(req.user);
+    if (req.query.applicationId && mongoose.isValidObjectId(req.query.applicationId)) {
+      filter.applicationId = req.query.applicationId;
+    }
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate({ path: 'applicationId', select: 'status opportunityId', populate: { path: 'opportunityId', select: 'title company' } })
+        .populate('applicantId', 'name email')
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments(filter),
+    ]);
+    const unread = await Message.aggregate([
+      { $match: { ...unreadFilter(req.user), conversationId: { $in: conversations.map((c) => c._id) } } },
+      { $group: { _id: '$conversationId', count: { $sum: 1 } } },
+    ]);
+    const unreadById = new Map(unread.map((u) => [u._id.toString(), u.count]));
+    res.json({
+      conversations: conversations.map((c) => ({ ...c, unreadCount: unreadById.get(c._id.toString()) || 0 })),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
-// GET /messages/:id — 404
-router.get('/:id', protect, (req, res) => {
-  res.status(404).json({ message: 'Message not found' });
+// GET /messages/unread-count — total unread messages for the current user (must be before GET /:id)
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const count = await Message.countDocuments(unreadFilter(req.user));
+    res.json({ count });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
-// POST /messages — accept and return stub
-router.post('/', protect, (req, res) => {
-  res.status(201).json({
-    _id: req.user._id,
-    message: 'Messages not implemented',
-  });
+// GET /messages/:id — one thread with its messages (newest page first, returned oldest → newest)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Conversation not found' });
+    const conversation = await Conversation.findOne({ _id: req.params.id, ...conversationScope(req.user) })
+      .populate({ path: 'applicationId', select: 'status opportunityId', populate: { path: 'opportunityId', select: 'title company' } })
+      .populate('applicantId', 'name email')
+      .lean();
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+    const [messages, total] = await Promise.all([
+      Message.find({ conversationId: conversation._id })
+        .populate('senderId', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Message.countDocuments({ conversationId: conversation._id }),
+    ]);
+    res.json({ conversation, messages: messages.reverse(), total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
-// PATCH /messages/:id/read — 200
-router.patch('/:id/read', protect, (req, res) => {
-  res.json({ read: true });
+// POST /messages — send a message on an application's thread (thread is created on first message)
+router.post(
+  '/',
+  protect,
+  [
+    body('applicationId').isMongoId().withMessage('Valid applicationId is required'),
+    body('body').trim().notEmpty().withMessage('Message body is required').isLength({ max: 5000 }),
+    body('subject').optional().trim().isLength({ max: 200 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const { applicationId, subject } = req.body;
+      const appFilter = { _id: applicationId };
+      if (req.user.role !== 'admin') appFilter.userId = req.user._id;
+      const application = await Application.findOne(appFilter).select('userId').lean();
+      if (!application) return res.status(404).json({ message: 'Application not found' });
+
+      const now = new Date();
+      const conversation = await upsertConversation(application, {
+        $setOnInsert: { applicantId: application.userId, ...(subject && { subject }) },
+        $set: { lastMessageAt: now, lastMessagePreview: req.body.body.slice(0, 140) },
+      });
+      const message = await Message.create({
+        conversationId: conversation._id,
+        applicantId: application.userId,
+        senderId: req.user._id,
+        senderRole: senderRoleFor(req.user),
+        body: req.body.body,
+      });
+      res.status(201).json({ conversation, message });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// PATCH /messages/:id/read — mark every message from the other side of the thread as read
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Conversation not found' });
+    const conversation = await Conversation.findOne({ _id: req.params.id, ...conversationScope(req.user) })
+      .select('_id')
+      .lean();
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const result = await Message.updateMany(
+      { conversationId: conversation._id, senderRole: { $ne: senderRoleFor(req.user) }, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ read: true, updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
 export default router;
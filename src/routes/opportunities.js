@@ -1,30 +1,51 @@
 import express from 'express';
-import escapeStringRegexp from 'escape-string-regexp';
+import multer from 'multer';
 import Opportunity from '../models/Opportunity.js';
 import User from '../models/User.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import Organization from '../models/Organization.js';
+import { protect, optionalAuth, adminOnly, authorize, opportunityScope, loadManagedOpportunity } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { SUPPORTED_CURRENCIES } from '../utils/fees.js';
+import { parseCsv } from '../utils/csv.js';
+import { searchTerms, highlight } from '../utils/search.js';
+import { safeRegex, listFilters, where, facetCounts } from '../utils/opportunityFilters.js';
+import { recommendOpportunities } from '../utils/recommendations.js';
+import { openFilter, isPastDeadline, parseFutureDeadline } from '../utils/opportunityAvailability.js';
+import { runOpportunityExpiry, lastOpportunityExpiry } from '../jobs/opportunityExpiry.js';
 
 const router = express.Router();
 
-function safeRegex(str) {
-  if (!str || typeof str !== 'string') return null;
+// Admin: close opportunities past their deadline now (the job also runs on a schedule)
+router.post('/admin/expire', protect, adminOnly, async (req, res) => {
   try {
-    return new RegExp(escapeStringRegexp(str.trim()), 'i');
-  } catch {
-    return null;
+    const run = await runOpportunityExpiry({ trigger: 'manual', triggeredBy: req.user._id });
+    res.json(run);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
-}
+});
 
-// Admin: list all opportunities (including inactive)
-router.get('/admin/all', protect, adminOnly, async (req, res) => {
+// Admin: last expiry run and its report
+router.get('/admin/expire/last', protect, adminOnly, async (req, res) => {
+  try {
+    const run = await lastOpportunityExpiry();
+    if (!run) return res.status(404).json({ message: 'Opportunity expiry has not run yet' });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin/employer: list manageable opportunities (including inactive); employers see only their organization's
+router.get('/admin/all', protect, authorize('admin', 'employer'), async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
     const skip = (page - 1) * limit;
+    const filter = opportunityScope(req.user);
     const [opportunities, total] = await Promise.all([
-      Opportunity.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Opportunity.countDocuments({}),
+      Opportunity.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Opportunity.countDocuments(filter),
     ]);
     res.json({ opportunities, total, page, pages: Math.ceil(total / limit) });
   } catch (err) {
@@ -32,45 +53,60 @@ router.get('/admin/all', protect, adminOnly, async (req, res) => {
   }
 });
 
+// Public listing. Query: search, sort=relevance|newest, page, limit, facets=false, plus the filters
+// in utils/opportunityFilters (multi-value category/location/duration/type/currency, fee range, deadline).
+// search uses the text index (ranked, with highlighted snippets); if no word matches it falls
+// back to a substring match so partial words still find something.
 router.get('/', async (req, res) => {
   try {
-    const { category, location, type, duration, search } = req.query;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
     const page = Math.max(1, Number(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 12));
-    const filter = { isActive: true };
-    const catRe = safeRegex(category);
-    if (catRe) filter.category = catRe;
-    const locRe = safeRegex(location);
-    if (locRe) filter.location = locRe;
-    if (type) filter.type = type;
-    const durRe = safeRegex(duration);
-    if (durRe) filter.duration = durRe;
-    const searchRe = safeRegex(search);
-    if (searchRe) {
-      filter.$or = [
-        { title: searchRe },
-        { company: searchRe },
-        { description: searchRe },
-      ];
-    }
+    const sortBy = req.query.sort || (search ? 'relevance' : 'newest');
+    if (!['relevance', 'newest'].includes(sortBy)) return res.status(400).json({ message: 'sort must be relevance or newest' });
+    const { clauses, dims } = listFilters(req.query);
+    const filters = [...clauses, ...Object.values(dims)];
     const skip = (page - 1) * limit;
-    const [opportunities, total] = await Promise.all([
-      Opportunity.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Opportunity.countDocuments(filter),
-    ]);
-    res.json({ opportunities, total, page, pages: Math.ceil(total / limit) });
+
+    const list = (searchMatch, { projection, sort }) => {
+      const query = where(filters, searchMatch);
+      return Promise.all([
+        Opportunity.find(query, projection).sort(sort).skip(skip).limit(limit).lean(),
+        Opportunity.countDocuments(query),
+      ]);
+    };
+    let searchMatch = {};
+    let opportunities;
+    let total;
+    if (search) {
+      searchMatch = { $text: { $search: search } };
+      [opportunities, total] = await list(searchMatch, {
+        projection: { score: { $meta: 'textScore' } },
+        sort: sortBy === 'relevance' ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 },
+      });
+      const searchRe = safeRegex(search);
+      if (total === 0 && searchRe) {
+        searchMatch = { $or: [{ title: searchRe }, { company: searchRe }, { description: searchRe }] };
+        [opportunities, total] = await list(searchMatch, { sort: { createdAt: -1 } });
+      }
+      const terms = searchTerms(search);
+      opportunities = opportunities.map((o) => ({ ...o, highlight: highlight(o, terms) }));
+    } else {
+      [opportunities, total] = await list(searchMatch, { sort: { createdAt: -1 } });
+    }
+    const facets = req.query.facets === 'false' ? undefined : await facetCounts(clauses, dims, searchMatch);
+    res.json({ opportunities, total, page, pages: Math.ceil(total / limit), ...(facets && { facets }) });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
 
-// Frontend: recommended opportunities (e.g. latest 6)
-router.get('/recommended', async (req, res) => {
+// Frontend: recommended opportunities (query: limit, default 6). Personalized when signed in,
+// popular/recent otherwise; never includes listings the user already applied to.
+router.get('/recommended', optionalAuth, async (req, res) => {
   try {
-    const opportunities = await Opportunity.find({ isActive: true })
-      .sort({ createdAt: -1 })
-      .limit(6)
-      .lean();
+    const limit = Math.min(20, Math.max(1, Number(req.query.limit) || 6));
+    const opportunities = await recommendOpportunities(req.user || null, { limit });
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -83,7 +119,7 @@ router.get('/saved', protect, async (req, res) => {
     const user = await User.findById(req.user._id).select('savedOpportunities').lean();
     const ids = user?.savedOpportunities || [];
     if (ids.length === 0) return res.json([]);
-    const opportunities = await Opportunity.find({ _id: { $in: ids }, isActive: true }).lean();
+    const opportunities = await Opportunity.find({ _id: { $in: ids }, ...openFilter() }).lean();
     res.json(opportunities);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -138,7 +174,12 @@ router.delete('/:id/save', protect, async (req, res) => {
 
 router.get('/:id', async (req, res) => {
   try {
-    const opp = await Opportunity.findById(req.params.id).lean();
+    // Count the view; timestamps off so a view doesn't bump updatedAt
+    const opp = await Opportunity.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { viewCount: 1 } },
+      { new: true, timestamps: false }
+    ).lean();
     if (!opp) return res.status(404).json({ message: 'Opportunity not found' });
     res.json(opp);
   } catch (err) {
@@ -146,46 +187,327 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post(
-  '/',
-  protect,
-  adminOnly,
-  [
-    body('title').trim().notEmpty(),
-    body('company').trim().notEmpty(),
-    body('type').isIn(['internship', 'attachment']),
-    body('description').trim().notEmpty(),
-  ],
-  async (req, res) => {
+// Shared by POST / and the bulk import, so imported rows get the same checks
+const opportunityValidators = [
+  body('title').trim().notEmpty(),
+  // Employers post under their organization's name
+  body('company').custom((value, { req }) => req.user.role === 'employer' || !!String(value || '').trim()),
+  body('type').isIn(['internship', 'attachment']),
+  body('description').trim().notEmpty(),
+  body('organizationId').optional().isMongoId(),
+  body('currency').optional().toUpperCase().isIn(SUPPORTED_CURRENCIES).withMessage(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('applicationFee').optional().isFloat({ min: 0 }).withMessage('applicationFee must be a non-negative number'),
+  body('deadline').optional({ values: 'falsy' }).isISO8601().withMessage('deadline must be a date'),
+  body('externalRef').optional().isString().trim().isLength({ max: 100 }),
+];
+
+// Resolve the organization (employers: always their own) and fill company/logo from it.
+// Throws with .status 400 if the organization does not exist.
+async function withOrganization(data, user, organizations = new Map()) {
+  const organizationId = user.role === 'employer' ? user.organizationId : data.organizationId;
+  if (!organizationId) {
+    delete data.organizationId;
+    return data;
+  }
+  const key = String(organizationId);
+  if (!organizations.has(key)) organizations.set(key, await Organization.findById(organizationId).lean());
+  const organization = organizations.get(key);
+  if (!organization) {
+    const err = new Error('Organization not found');
+    err.status = 400;
+    throw err;
+  }
+  data.organizationId = organization._id;
+  if (user.role === 'employer' || !data.company) data.company = organization.name;
+  if (!data.companyLogo && organization.logo) data.companyLogo = organization.logo;
+  return data;
+}
+
+// Fields a poster may set; counters and open/closed state are server-controlled
+const CREATE_FIELDS = [
+  'externalRef',
+  'title',
+  'company',
+  'companyLogo',
+  'organizationId',
+  'type',
+  'description',
+  'requirements',
+  'location',
+  'duration',
+  'category',
+  'applicationFee',
+  'currency',
+  'deadline',
+];
+
+router.post('/', protect, authorize('admin', 'employer'), opportunityValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const data = { createdBy: req.user._id };
+    for (const k of CREATE_FIELDS) {
+      if (req.body[k] !== undefined) data[k] = req.body[k];
+    }
+    await withOrganization(data, req.user);
+    const opportunity = await Opportunity.create(data);
+    res.status(201).json(opportunity);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+const IMPORT_MAX_ROWS = 500;
+const IMPORT_FIELDS = [...CREATE_FIELDS, 'isActive'];
+
+// Rows from an uploaded .csv/.json file, or a JSON body (array or { opportunities: [...] })
+function readImportRows(req) {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname || '');
+    if (!isJson) return parseCsv(text);
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : parsed?.opportunities;
+  }
+  return Array.isArray(req.body) ? req.body : req.body?.opportunities;
+}
+
+// Keep known fields; CSV cells arrive as strings ('' = not set, requirements split on | or newlines)
+function importRow(raw) {
+  const row = {};
+  for (const k of IMPORT_FIELDS) {
+    let value = raw?.[k];
+    if (typeof value === 'string') value = value.trim();
+    if (value === undefined || value === null || value === '') continue;
+    if (k === 'requirements' && typeof value === 'string') {
+      value = value.split(/\r?\n|\|/).map((r) => r.trim()).filter(Boolean);
+    }
+    if (k === 'isActive' && typeof value === 'string') value = !['false', '0', 'no'].includes(value.toLowerCase());
+    row[k] = value;
+  }
+  return row;
+}
+
+// Run the create-route validators against one row (sanitizing it in place); returns error strings
+async function validateImportRow(row, user) {
+  const req = { body: row, user };
+  for (const chain of opportunityValidators) await chain.run(req);
+  return validationResult(req).array().map((e) => `${e.path}: ${e.msg}`);
+}
+
+// Admin/employer: bulk import from a CSV/JSON file (field "file") or JSON body.
+// Query/form: mode=create|upsert (upsert updates listings with the same externalRef), dryRun=true to only validate.
+// Rows are processed independently; the response reports each row's outcome.
+router.post('/admin/import', protect, authorize('admin', 'employer'), importUpload.single('file'), async (req, res) => {
+  try {
+    const mode = req.query.mode || req.body?.mode || 'create';
+    if (!['create', 'upsert'].includes(mode)) return res.status(400).json({ message: 'mode must be create or upsert' });
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun));
+    let rows;
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-      const opportunity = await Opportunity.create(req.body);
-      res.status(201).json(opportunity);
+      rows = readImportRows(req);
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      return res.status(400).json({ message: `Could not parse file: ${err.message}` });
+    }
+    if (!Array.isArray(rows) || rows.length === 0) return res.status(400).json({ message: 'No rows to import' });
+    if (rows.length > IMPORT_MAX_ROWS) return res.status(400).json({ message: `At most ${IMPORT_MAX_ROWS} rows per import` });
+
+    const organizations = new Map();
+    const seenRefs = new Set();
+    const results = [];
+    for (let i = 0; i < rows.length; i++) {
+      const result = { row: i + 1 };
+      try {
+        const row = importRow(rows[i]);
+        result.externalRef = row.externalRef;
+        const errors = await validateImportRow(row, req.user);
+        if (mode === 'upsert' && !row.externalRef) errors.push('externalRef: required in upsert mode');
+        if (errors.length) {
+          results.push({ ...result, status: 'error', errors });
+          continue;
+        }
+        const data = await withOrganization(row, req.user, organizations);
+        const invalid = new Opportunity(data).validateSync();
+        if (invalid) {
+          results.push({ ...result, status: 'error', errors: Object.values(invalid.errors).map((e) => `${e.path}: ${e.message}`) });
+          continue;
+        }
+        let existing = null;
+        if (data.externalRef) {
+          const refKey = `${data.organizationId || ''}|${data.externalRef}`;
+          if (seenRefs.has(refKey)) {
+            results.push({ ...result, status: 'error', errors: ['externalRef: duplicated earlier in this file'] });
+            continue;
+          }
+          seenRefs.add(refKey);
+          existing = await Opportunity.findOne({ organizationId: data.organizationId ?? null, externalRef: data.externalRef })
+            .select('_id isActive deadline')
+            .lean();
+        }
+        if (existing && mode !== 'upsert') {
+          results.push({ ...result, status: 'error', errors: ['externalRef: already imported — use mode=upsert to update it'] });
+          continue;
+        }
+        // Same rules as PATCH (reopen needs a future deadline, closing is recorded); new rows start open
+        applyUpdateRules(data, existing || { isActive: true }, req.user);
+        const action = existing ? 'update' : 'create';
+        if (dryRun) {
+          results.push({ ...result, status: 'ok', action, ...(existing && { id: existing._id }) });
+          continue;
+        }
+        let id;
+        if (existing) {
+          await Opportunity.updateOne({ _id: existing._id }, data, { runValidators: true });
+          id = existing._id;
+        } else {
+          ({ _id: id } = await Opportunity.create({ ...data, createdBy: req.user._id }));
+        }
+        results.push({ ...result, status: 'ok', action, id });
+      } catch (err) {
+        results.push({ ...result, status: 'error', errors: [err.message] });
+      }
     }
+
+    const count = (fn) => results.filter(fn).length;
+    res.json({
+      dryRun,
+      mode,
+      total: results.length,
+      created: count((r) => r.status === 'ok' && r.action === 'create'),
+      updated: count((r) => r.status === 'ok' && r.action === 'update'),
+      failed: count((r) => r.status === 'error'),
+      results,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-);
+});
 
-const PATCH_WHITELIST = ['title', 'company', 'type', 'description', 'location', 'duration', 'applicationFee', 'isActive', 'deadline', 'category'];
-router.patch('/:id', protect, adminOnly, async (req, res) => {
+function updateError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Checks and open/closed bookkeeping for an update to an existing listing (PATCH and import
+ * upserts): currency, fee and deadline must be valid; reopening needs a future deadline and
+ * clears closed*; closing records who closed it. Mutates updates; throws with .status 400.
+ */
+function applyUpdateRules(updates, current, user) {
+  if (updates.currency !== undefined) {
+    updates.currency = String(updates.currency).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(updates.currency)) {
+      throw updateError(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+  }
+  if (updates.applicationFee !== undefined) {
+    const fee = Number(updates.applicationFee);
+    if (updates.applicationFee === null || updates.applicationFee === '' || !Number.isFinite(fee) || fee < 0) {
+      throw updateError('applicationFee must be a non-negative number');
+    }
+    updates.applicationFee = fee;
+  }
+  if (updates.deadline) {
+    const deadline = new Date(updates.deadline);
+    if (Number.isNaN(deadline.getTime())) throw updateError('deadline must be a date');
+    updates.deadline = deadline;
+  }
+  if (updates.isActive !== undefined) {
+    updates.isActive = updates.isActive === true || updates.isActive === 'true';
+    if (updates.isActive && !current.isActive) {
+      if (isPastDeadline({ deadline: updates.deadline ?? current.deadline })) {
+        throw updateError('The deadline has passed. Set a future deadline to reopen.');
+      }
+      updates.$unset = { closedAt: 1, closedReason: 1, closedBy: 1 };
+    } else if (!updates.isActive && current.isActive) {
+      Object.assign(updates, { closedAt: new Date(), closedReason: 'manual', closedBy: user._id });
+    }
+  }
+  return updates;
+}
+
+const PATCH_WHITELIST = ['title', 'company', 'type', 'description', 'location', 'duration', 'applicationFee', 'currency', 'isActive', 'deadline', 'category', 'externalRef'];
+router.patch('/:id', protect, authorize('admin', 'employer'), loadManagedOpportunity, async (req, res) => {
   try {
     const updates = {};
     for (const k of PATCH_WHITELIST) {
       if (req.body[k] !== undefined) updates[k] = req.body[k];
     }
+    // Employers' listings always carry their organization's name, as on create
+    if (req.user.role === 'employer') delete updates.company;
     if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    applyUpdateRules(updates, req.opportunity, req.user);
     const opportunity = await Opportunity.findByIdAndUpdate(
-      req.params.id,
+      req.opportunity._id,
       updates,
       { new: true }
     );
     if (!opportunity) return res.status(404).json({ message: 'Opportunity not found' });
     res.json(opportunity);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin/employer: close an opportunity to new applications
+router.post('/:id/close', protect, authorize('admin', 'employer'), loadManagedOpportunity, async (req, res) => {
+  try {
+    const opportunity = req.opportunity;
+    if (opportunity.isActive) {
+      opportunity.isActive = false;
+      opportunity.closedAt = new Date();
+      opportunity.closedReason = 'manual';
+      opportunity.closedBy = req.user._id;
+      await opportunity.save();
+    }
+    res.json(opportunity);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Admin/employer: move the deadline later (body: { deadline }). A listing the expiry job
+// closed at its old deadline reopens; a manually closed one stays closed (use /reopen).
+router.post('/:id/extend', protect, authorize('admin', 'employer'), loadManagedOpportunity, async (req, res) => {
+  try {
+    const opportunity = req.opportunity;
+    const deadline = parseFutureDeadline(req.body.deadline);
+    if (opportunity.deadline && deadline <= opportunity.deadline) {
+      return res.status(400).json({ message: 'New deadline must be later than the current one' });
+    }
+    opportunity.deadline = deadline;
+    if (!opportunity.isActive && opportunity.closedReason === 'deadline') {
+      opportunity.isActive = true;
+      opportunity.closedAt = undefined;
+      opportunity.closedReason = undefined;
+    }
+    await opportunity.save();
+    res.json(opportunity);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Admin/employer: reopen a closed listing (body: { deadline? } — required if the current deadline has passed)
+router.post('/:id/reopen', protect, authorize('admin', 'employer'), loadManagedOpportunity, async (req, res) => {
+  try {
+    const opportunity = req.opportunity;
+    if (req.body.deadline !== undefined) {
+      opportunity.deadline = parseFutureDeadline(req.body.deadline);
+    } else if (isPastDeadline(opportunity)) {
+      return res.status(400).json({ message: 'The deadline has passed. Provide a new deadline to reopen.' });
+    }
+    opportunity.isActive = true;
+    opportunity.closedAt = undefined;
+    opportunity.closedReason = undefined;
+    opportunity.closedBy = undefined;
+    await opportunity.save();
+    res.json(opportunity);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
 export default router;
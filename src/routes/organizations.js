@@ -0,0 +1,147 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { protect, adminOnly, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const PATCH_WHITELIST = ['name', 'logo', 'website', 'description', 'contactEmail', 'isActive'];
+
+// Admin: list organizations
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+    const [organizations, total] = await Promise.all([
+      Organization.find({}).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+      Organization.countDocuments({}),
+    ]);
+    res.json({ organizations, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Employer: my organization (must be before GET /:id)
+router.get('/mine', protect, authorize('employer'), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId).lean();
+    if (!organization) return res.status(404).json({ message: 'Organization not found' });
+    res.json(organization);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', protect, authorize('admin', 'employer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Organization not found' });
+    if (req.user.role === 'employer' && req.user.organizationId.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'You can only view your own organization' });
+    }
+    const [organization, members] = await Promise.all([
+      Organization.findById(req.params.id).lean(),
+      User.find({ organizationId: req.params.id, role: 'employer' }).select('name email avatar').lean(),
+    ]);
+    if (!organization) return res.status(404).json({ message: 'Organization not found' });
+    res.json({ ...organization, members });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: create organization
+router.post(
+  '/',
+  protect,
+  adminOnly,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('contactEmail').optional().isEmail().normalizeEmail(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const data = {};
+      for (const k of PATCH_WHITELIST) {
+        if (req.body[k] !== undefined) data[k] = req.body[k];
+      }
+      const existing = await Organization.findOne({ name: data.name });
+      if (existing) return res.status(400).json({ message: 'An organization with that name already exists' });
+      const organization = await Organization.create(data);
+      res.status(201).json(organization);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// Admin or the organization's employers: update organization details
+router.patch('/:id', protect, authorize('admin', 'employer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Organization not found' });
+    if (req.user.role === 'employer' && req.user.organizationId.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'You can only edit your own organization' });
+    }
+    const updates = {};
+    for (const k of PATCH_WHITELIST) {
+      if (req.body[k] !== undefined) updates[k] = req.body[k];
+    }
+    if (req.user.role === 'employer') delete updates.isActive;
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields to update' });
+    const organization = await Organization.findByIdAndUpdate(req.params.id, updates, { new: true });
+    if (!organization) return res.status(404).json({ message: 'Organization not found' });
+    res.json(organization);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Admin: add an existing user to an organization as an employer (body: { email })
+router.post(
+  '/:id/members',
+  protect,
+  adminOnly,
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Organization not found' });
+      const organization = await Organization.findById(req.params.id).lean();
+      if (!organization) return res.status(404).json({ message: 'Organization not found' });
+      const user = await User.findOne({ email: req.body.email });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (user.role === 'admin') return res.status(400).json({ message: 'Admins cannot be employer members' });
+      user.role = 'employer';
+      user.organizationId = organization._id;
+      await user.save();
+      res.json({ _id: user._id, name: user.name, email: user.email, role: user.role, organizationId: user.organizationId });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// Admin: remove an employer from an organization (they become a regular student account)
+router.delete('/:id/members/:userId', protect, adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    const user = await User.findOne({ _id: req.params.userId, organizationId: req.params.id });
+    if (!user) return res.status(404).json({ message: 'Member not found' });
+    user.role = 'student';
+    user.organizationId = undefined;
+    await user.save();
+    res.json({ message: 'Member removed' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+export default router;
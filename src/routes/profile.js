@@ -1,7 +1,12 @@
 import express from 'express';
+import crypto from 'crypto';
 import multer from 'multer';
+import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { protect } from '../middleware/auth.js';
+import { generateOTP, hashOTP, otpMaxAttempts } from '../utils/otp.js';
+import { assertNotLocked, recordFailureOrLock, clearFailures } from '../utils/lockout.js';
+import { sendEmailChangeOTPEmail, sendEmailChangeNotice } from '../utils/sendEmail.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
 import { validateDocFile } from '../utils/fileValidation.js';
 
@@ -13,14 +18,16 @@ router.get('/', protect, async (req, res) => {
   res.json(req.user);
 });
 
-// PATCH /profile — update name, email, etc.
+// PATCH /profile — update name (email changes go through POST /profile/email)
 router.patch('/', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     if (!user) return res.status(401).json({ message: 'User not found' });
     const { name, email } = req.body;
+    if (email !== undefined && String(email).trim().toLowerCase() !== user.email) {
+      return res.status(400).json({ message: 'To change your email, use POST /api/profile/email and confirm the code sent to the new address' });
+    }
     if (name !== undefined) user.name = name;
-    if (email !== undefined) user.email = email;
     await user.save();
     const out = user.toObject();
     delete out.password;
@@ -30,6 +37,165 @@ router.patch('/', protect, async (req, res) => {
   }
 });
 
+const EMAIL_CHANGE_OTP_TTL_MS = 10 * 60 * 1000;
+
+// Error response; lockouts (429) also tell the client when to retry
+function sendError(res, err) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status || 500).json({ message: err.message });
+}
+
+// POST /profile/email — start an email change (body: { email, password }; password not needed for Google-only accounts).
+// An OTP goes to the new address and a notice to the current one; nothing changes until /profile/email/confirm.
+router.post(
+  '/email',
+  protect,
+  [body('email').isEmail().withMessage('A valid email is required').normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const user = await User.findById(req.user._id);
+      if (!user) return res.status(401).json({ message: 'User not found' });
+      const newEmail = req.body.email.toLowerCase();
+      if (newEmail === user.email) return res.status(400).json({ message: 'That is already your email' });
+      if (user.password) {
+        await assertNotLocked(user._id, 'login');
+        const match = req.body.password ? await user.matchPassword(String(req.body.password)) : false;
+        if (!match) {
+          await recordFailureOrLock(user._id, 'login', { ip: req.ip });
+          return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        await clearFailures(user._id, 'login');
+      }
+      // 60s cooldown between codes, as for resend-verification
+      const sentAt = user.pendingEmailOTPExpires ? user.pendingEmailOTPExpires.getTime() - EMAIL_CHANGE_OTP_TTL_MS : 0;
+      if (sentAt > Date.now() - 60000) {
+        return res.status(429).json({ message: 'Please wait a moment before requesting another code.' });
+      }
+      if (await User.exists({ email: newEmail })) return res.status(409).json({ message: 'Email already registered' });
+      const otp = generateOTP();
+      user.pendingEmail = newEmail;
+      user.pendingEmailOTP = hashOTP(otp);
+      user.pendingEmailOTPExpires = new Date(Date.now() + EMAIL_CHANGE_OTP_TTL_MS);
+      user.pendingEmailOTPAttempts = 0;
+      await user.save();
+      const sent = await sendEmailChangeOTPEmail(newEmail, otp);
+      await sendEmailChangeNotice(user.email, user.name, newEmail);
+      res.json({
+        pendingEmail: newEmail,
+        message: sent ? 'We sent a code to your new email. Enter it to confirm the change.' : 'Could not send the code. Please try again later.',
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// POST /profile/email/confirm — body: { otp } from the new address; switches the account email
+router.post(
+  '/email/confirm',
+  protect,
+  [body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+      const user = await User.findById(req.user._id).select('+pendingEmailOTP');
+      if (!user) return res.status(401).json({ message: 'User not found' });
+      if (!user.pendingEmail || !user.pendingEmailOTP || !(user.pendingEmailOTPExpires > new Date())) {
+        return res.status(400).json({ message: 'No email change pending, or the code has expired. Please start again.' });
+      }
+      await assertNotLocked(user._id, 'otp');
+      const maxAttempts = otpMaxAttempts();
+      if (!crypto.timingSafeEqual(Buffer.from(hashOTP(String(req.body.otp))), Buffer.from(user.pendingEmailOTP))) {
+        // Counted atomically against this code, so concurrent guesses can't share one attempt
+        const counted = await User.findOneAndUpdate(
+          { _id: user._id, pendingEmailOTP: user.pendingEmailOTP },
+          { $inc: { pendingEmailOTPAttempts: 1 } },
+          { new: true, projection: { pendingEmailOTPAttempts: 1 } }
+        );
+        const exhausted = !counted || counted.pendingEmailOTPAttempts >= maxAttempts;
+        if (counted && exhausted) {
+          await User.updateOne(
+            { _id: user._id, pendingEmailOTP: user.pendingEmailOTP },
+            { $unset: { pendingEmail: 1, pendingEmailOTP: 1 }, $set: { pendingEmailOTPAttempts: 0 } }
+          );
+        }
+        await recordFailureOrLock(user._id, 'otp', { ip: req.ip });
+        return res.status(400).json({
+          message: exhausted ? 'Too many incorrect codes. Please request a new one.' : 'Invalid or expired OTP',
+        });
+      }
+      if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+        return res.status(409).json({ message: 'Email already registered' });
+      }
+      // The code proves the new inbox is theirs, so the account stays verified.
+      // Conditional on the code still being current and not burned by concurrent wrong guesses.
+      const switched = await User.updateOne(
+        {
+          _id: user._id,
+          pendingEmail: user.pendingEmail,
+          pendingEmailOTP: user.pendingEmailOTP,
+          pendingEmailOTPAttempts: { $lt: maxAttempts },
+        },
+        {
+          $set: { email: user.pendingEmail, emailVerified: true, pendingEmailOTPAttempts: 0 },
+          $unset: { pendingEmail: 1, pendingEmailOTP: 1, pendingEmailOTPExpires: 1 },
+        }
+      );
+      if (switched.modifiedCount === 0) return res.status(400).json({ message: 'Invalid or expired OTP' });
+      await clearFailures(user._id, 'otp');
+      res.json(await User.findById(user._id).select('-password').lean());
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ message: 'Email already registered' });
+      sendError(res, err);
+    }
+  }
+);
+
+// DELETE /profile/email — cancel a pending email change (the resend cooldown still applies)
+router.delete('/email', protect, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { pendingEmail: 1, pendingEmailOTP: 1 }, $set: { pendingEmailOTPAttempts: 0 } }
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const NOTIFICATION_PREFERENCE_KEYS = ['paymentConfirmations', 'statusUpdates', 'refunds'];
+
+// GET /profile/notifications — email notification preferences
+router.get('/notifications', protect, async (req, res) => {
+  const prefs = req.user.notificationPreferences || {};
+  res.json(Object.fromEntries(NOTIFICATION_PREFERENCE_KEYS.map((k) => [k, prefs[k] !== false])));
+});
+
+// PATCH /profile/notifications — opt in/out per category (body: { statusUpdates: false, ... })
+router.patch('/notifications', protect, async (req, res) => {
+  try {
+    const updates = {};
+    for (const k of NOTIFICATION_PREFERENCE_KEYS) {
+      if (req.body[k] === undefined) continue;
+      if (typeof req.body[k] !== 'boolean') return res.status(400).json({ message: `${k} must be true or false` });
+      updates[`notificationPreferences.${k}`] = req.body[k];
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid preferences to update' });
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true })
+      .select('notificationPreferences')
+      .lean();
+    if (!user) return res.status(401).json({ message: 'User not found' });
+    const prefs = user.notificationPreferences || {};
+    res.json(Object.fromEntries(NOTIFICATION_PREFERENCE_KEYS.map((k) => [k, prefs[k] !== false])));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // POST /profile/cv — upload CV and save URL on user
 router.post('/cv', protect, upload.single('cv'), async (req, res) => {
   try {
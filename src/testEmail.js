@@ -0,0 +1,32 @@
+/**
+ * Send a test email through the configured mail transport (bypasses the outbox).
+ * Run: npm run email:test -- you@example.com
+ * MAIL_TRANSPORT=file writes it to MAIL_DIR instead of using SMTP.
+ */
+import 'dotenv/config';
+import { deliverNow, mailTransportName, isMailConfigured } from './utils/mailer.js';
+
+const to = process.argv[2] || process.env.SMTP_USER;
+if (!to) {
+  console.log('Usage: npm run email:test -- your@email.com');
+  process.exit(1);
+}
+
+console.log('Testing mail transport:', mailTransportName());
+if (!isMailConfigured()) {
+  console.error('Missing SMTP_HOST, SMTP_USER, or SMTP_PASS in .env');
+  process.exit(1);
+}
+
+deliverNow({
+  to,
+  subject: 'Mail Test — IAS',
+  text: 'If you got this, email delivery is working.',
+})
+  .then(({ messageId }) => console.log('SUCCESS: Email sent to', to, messageId))
+  .catch((err) => {
+    console.error('FAILED:', err.message);
+    if (err.code) console.error('Code:', err.code);
+    if (err.response) console.error('Response:', err.response);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+/**
+ * Application status history (audit trail) helpers.
+ * Entries are appended with $push; the admin timeline shows everything,
+ * applicants get a sanitized copy without internal notes or actor ids.
+ */
+
+export function actorRoleOf(user) {
+  if (!user) return 'system';
+  if (user.role === 'admin' || user.role === 'employer') return user.role;
+  return 'applicant';
+}
+
+/**
+ * Build a history entry.
+ * @param {object} opts
+ * @param {'created'|'status_change'|'payment'|'refund'} opts.event
+ * @param {string} [opts.from] - status before
+ * @param {string} [opts.to] - status after
+ * @param {object} [opts.actor] - user doc (omit for system events such as webhooks)
+ * @param {string} [opts.notes] - internal reviewer notes
+ * @param {number} [opts.amount]
+ * @param {object} [opts.meta]
+ */
+export function historyEntry({ event, from, to, actor, notes, amount, meta }) {
+  const entry = { event, actorRole: actorRoleOf(actor), at: new Date() };
+  if (from) entry.from = from;
+  if (to) entry.to = to;
+  if (actor?._id) entry.actorId = actor._id;
+  if (notes) entry.notes = String(notes).slice(0, 2000);
+  if (amount != null) entry.amount = Number(amount);
+  if (meta) entry.meta = meta;
+  return entry;
+}
+
+// Applicant-facing view: no internal notes, actor ids or raw payment metadata
+export function sanitizeHistory(history = []) {
+  return history.map((h) => ({
+    event: h.event,
+    from: h.from,
+    to: h.to,
+    actorRole: h.actorRole === 'employer' ? 'admin' : h.actorRole,
+    ...(h.amount != null && { amount: h.amount }),
+    at: h.at,
+  }));
+}
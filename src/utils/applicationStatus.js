@@ -0,0 +1,81 @@
+/**
+ * Application status state machine.
+ * Every writer of Application.status goes through this graph. Each edge lists
+ * who may take it:
+ * - payment: a confirmed Paystack charge (webhook, verify-payment, saved card)
+ * - waiver: a coupon that brings the fee to zero (no Paystack call)
+ * - reviewer: admin or employer via the admin routes
+ * - applicant: the applicant themselves (withdraw deletes the application)
+ */
+import Application from '../models/Application.js';
+import { historyEntry } from './applicationHistory.js';
+
+export const APPLICATION_STATUSES = ['pending_payment', 'submitted', 'under_review', 'shortlisted', 'rejected', 'accepted'];
+
+export const STATUS_TRANSITIONS = {
+  pending_payment: { submitted: ['payment', 'waiver'], withdrawn: ['applicant'] },
+  submitted: { under_review: ['reviewer'], shortlisted: ['reviewer'], rejected: ['reviewer'], withdrawn: ['applicant'] },
+  under_review: { shortlisted: ['reviewer'], rejected: ['reviewer'], accepted: ['reviewer'] },
+  shortlisted: { accepted: ['reviewer'], rejected: ['reviewer'] },
+  rejected: {},
+  accepted: {},
+};
+
+export function canTransition(from, to, by) {
+  const allowedBy = STATUS_TRANSITIONS[from]?.[to];
+  return !!allowedBy && (!by || allowedBy.includes(by));
+}
+
+// Statuses reachable from `from` for the given actor kind (or any actor if omitted)
+export function nextStatuses(from, by) {
+  return Object.keys(STATUS_TRANSITIONS[from] || {}).filter((to) => canTransition(from, to, by));
+}
+
+/**
+ * Throw a 409 error unless from → to is a declared transition for `by`.
+ * Routes surface it as res.status(err.status).
+ */
+export function assertTransition(from, to, by) {
+  if (canTransition(from, to, by)) return;
+  const next = nextStatuses(from, by);
+  const err = new Error(
+    `Cannot change application status from ${from} to ${to}.` +
+      (next.length ? ` Allowed: ${next.join(', ')}` : ' No further changes are allowed.')
+  );
+  err.status = 409;
+  err.code = 'INVALID_STATUS_TRANSITION';
+  err.from = from;
+  err.to = to;
+  throw err;
+}
+
+/**
+ * Move an application to a new status and append the history entry. Atomic, for concurrent
+ * writers (webhooks, replays, reviewers): the update only matches while the application is
+ * still in `from`.
+ * @param {string} applicationId
+ * @param {string} from - status the caller read
+ * @param {string} to
+ * @param {object} opts - { by, event, actor, notes, amount, meta, set } (set = extra fields to $set)
+ * @returns {Promise<object|null>} updated document, or null if the status moved meanwhile
+ */
+export async function applyTransition(applicationId, from, to, { by, event = 'status_change', actor, notes, amount, meta, set = {} } = {}) {
+  assertTransition(from, to, by);
+  return Application.findOneAndUpdate(
+    { _id: applicationId, status: from },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: historyEntry({ event, from, to, actor, notes, amount, meta }) },
+    },
+    { new: true }
+  );
+}
+
+// Graph in a frontend-friendly shape: { statuses, transitions: { from: [{ to, by }] } }
+export function describeTransitions() {
+  const transitions = {};
+  for (const [from, edges] of Object.entries(STATUS_TRANSITIONS)) {
+    transitions[from] = Object.entries(edges).map(([to, by]) => ({ to, by }));
+  }
+  return { statuses: APPLICATION_STATUSES, transitions };
+}
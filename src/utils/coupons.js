@@ -0,0 +1,143 @@
+/**
+ * Coupon validation and redemption.
+ * A coupon is reserved (usedCount incremented) when it is applied to an application,
+ * so usage limits hold even while applications are still pending payment. Removing
+ * the coupon or withdrawing the application releases the reservation.
+ */
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { baseFee, feeCurrency } from './fees.js';
+
+function couponError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+export function couponAppliesTo(coupon, opportunity) {
+  const ids = coupon.opportunityIds || [];
+  const categories = coupon.categories || [];
+  if (ids.length === 0 && categories.length === 0) return true;
+  if (ids.some((id) => id.toString() === opportunity._id.toString())) return true;
+  const category = (opportunity.category || '').toLowerCase();
+  return !!category && categories.some((c) => c.toLowerCase() === category);
+}
+
+export function computeDiscount(coupon, fee) {
+  const raw = coupon.discountType === 'percentage' ? (fee * Math.min(100, coupon.value)) / 100 : coupon.value;
+  return Math.min(fee, Math.round(raw * 100) / 100);
+}
+
+/**
+ * Look up a coupon and check it can be used by this user for this opportunity.
+ * Throws an error with .status (400/404/409) explaining why not.
+ * @param {string} code
+ * @param {{ opportunity: object, userId: string, applicationId?: string }} ctx
+ */
+export async function findValidCoupon(code, { opportunity, userId, applicationId }) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw couponError('Coupon code is required');
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon || !coupon.isActive) throw couponError('Invalid coupon code', 404);
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) throw couponError('This coupon is not active yet');
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw couponError('This coupon has expired');
+  if (coupon.maxUses != null && coupon.usedCount >= coupon.maxUses) throw couponError('This coupon has reached its usage limit', 409);
+  if (!couponAppliesTo(coupon, opportunity)) throw couponError('This coupon does not apply to this opportunity');
+  if (coupon.discountType === 'fixed' && (coupon.currency || 'KES') !== feeCurrency(opportunity)) {
+    throw couponError('This coupon does not apply to fees in this currency');
+  }
+  // Fast precheck; applyCoupon enforces the per-user limit atomically (redemption slots)
+  const used = await CouponRedemption.countDocuments({
+    couponId: coupon._id,
+    userId,
+    status: 'active',
+    ...(applicationId && { applicationId: { $ne: applicationId } }),
+  });
+  if (used >= coupon.perUserLimit) throw couponError('You have already used this coupon', 409);
+  return coupon;
+}
+
+/** Release the coupon held by an application (if any) and clear it from the document. Caller saves. */
+export async function releaseCoupon(application) {
+  if (!application.couponId) return;
+  const released = await CouponRedemption.findOneAndUpdate(
+    { applicationId: application._id, couponId: application.couponId, status: 'active' },
+    { $set: { status: 'released', releasedAt: new Date() } }
+  );
+  if (released) await Coupon.updateOne({ _id: application.couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  application.couponId = undefined;
+  application.couponCode = undefined;
+  application.discountAmount = undefined;
+}
+
+/**
+ * Hold one of the user's perUserLimit slots for this application. The unique
+ * (couponId, userId, slot) index turns a concurrent apply into a duplicate key,
+ * after which the free slots are re-read.
+ * @returns {Promise<object|null>} the redemption, or null when every slot is taken
+ */
+async function createRedemption(coupon, application, discountAmount) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const active = await CouponRedemption.find({ couponId: coupon._id, userId: application.userId, status: 'active' })
+      .select('slot')
+      .lean();
+    if (active.length >= coupon.perUserLimit) return null;
+    const taken = new Set(active.map((r) => r.slot));
+    let slot = 0;
+    while (taken.has(slot)) slot++;
+    if (slot >= coupon.perUserLimit) return null;
+    try {
+      return await CouponRedemption.create({
+        couponId: coupon._id,
+        userId: application.userId,
+        applicationId: application._id,
+        discountAmount,
+        slot,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a coupon to a pending application: validates, reserves one use and stores the
+ * discount on the application. Replaces any coupon it already held. Caller saves.
+ * @returns {Promise<object>} the coupon
+ */
+export async function applyCoupon(application, opportunity, code) {
+  const coupon = await findValidCoupon(code, { opportunity, userId: application.userId, applicationId: application._id });
+  if (application.couponId?.toString() === coupon._id.toString()) return coupon;
+
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!reserved) throw couponError('This coupon has reached its usage limit', 409);
+
+  const discountAmount = computeDiscount(coupon, baseFee(opportunity));
+  let redemption;
+  try {
+    redemption = await createRedemption(coupon, application, discountAmount);
+  } finally {
+    // Give back the use reserved above if no per-user slot was free
+    if (!redemption) await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+  if (!redemption) throw couponError('You have already used this coupon', 409);
+
+  await releaseCoupon(application);
+  application.couponId = coupon._id;
+  application.couponCode = coupon.code;
+  application.discountAmount = discountAmount;
+  return coupon;
+}
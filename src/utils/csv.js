@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV reader/writer (RFC 4180 quoting). When writing, text cells starting with
+ * = + - @ are prefixed with ' so spreadsheet apps don't evaluate them as formulas.
+ */
+
+function csvCell(value) {
+  if (value == null) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** One CSV line (with trailing CRLF) from an array of values */
+export function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Render rows as CSV.
+ * @param {{ key: string, header?: string }[]} columns
+ * @param {object[]} rows
+ */
+export function toCsv(columns, rows) {
+  return (
+    csvLine(columns.map((c) => c.header || c.key)) +
+    rows.map((row) => csvLine(columns.map((c) => row[c.key]))).join('')
+  );
+}
+
+/** Send rows as a CSV attachment */
+export function sendCsv(res, filename, columns, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(columns, rows));
+}
+
+/**
+ * Parse CSV text into objects keyed by the (trimmed) header row. Handles quoted fields,
+ * escaped quotes, embedded newlines, CRLF and a UTF-8 BOM. Blank lines are skipped.
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const rows = records.filter((r) => r.some((cell) => cell.trim() !== ''));
+  if (rows.length === 0) return [];
+  const headers = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((r) => Object.fromEntries(headers.map((h, idx) => [h, r[idx] ?? ''])));
+}
@@ -0,0 +1,29 @@
+/**
+ * Application fee helpers. Every place that charges an application uses amountDue()
+ * so coupon discounts apply consistently.
+ */
+
+export const DEFAULT_APPLICATION_FEE = 350;
+
+// Paystack currencies we accept fees in; M-Pesa (charges and transfers) is KES only
+export const SUPPORTED_CURRENCIES = ['KES', 'NGN', 'GHS'];
+export const DEFAULT_CURRENCY = 'KES';
+
+export function feeCurrency(opportunity) {
+  return opportunity?.currency || DEFAULT_CURRENCY;
+}
+
+export function supportsMpesa(currency) {
+  return currency === 'KES';
+}
+
+export function baseFee(opportunity) {
+  return opportunity?.applicationFee ?? DEFAULT_APPLICATION_FEE;
+}
+
+// Fee after any coupon discount held by the application (never negative)
+export function amountDue(application, opportunity) {
+  const fee = baseFee(opportunity);
+  const discount = application?.couponId ? Number(application.discountAmount) || 0 : 0;
+  return Math.max(0, Math.round((fee - discount) * 100) / 100);
+}
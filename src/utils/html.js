@@ -0,0 +1,13 @@
+/**
+ * HTML helpers shared by email templates and search snippets.
+ */
+
+/** Escape text for use in HTML element content and quoted attribute values */
+export function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
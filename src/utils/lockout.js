@@ -0,0 +1,102 @@
+/**
+ * Per-account brute-force protection. Each kind of check (password login, email OTP,
+ * password reset requests, 2FA codes) counts failures per user; after AUTH_MAX_FAILURES
+ * the account is locked for that kind, starting at AUTH_LOCKOUT_BASE_MINUTES and doubling
+ * with every consecutive lock up to AUTH_LOCKOUT_MAX_MINUTES. A success clears the record;
+ * failures older than a day no longer count towards the backoff.
+ */
+import AuthLock from '../models/AuthLock.js';
+
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+export const LOCK_KINDS = ['login', 'otp', 'password_reset', 'two_factor'];
+
+function settings() {
+  return {
+    maxFailures: Number(process.env.AUTH_MAX_FAILURES) || 5,
+    baseMs: (Number(process.env.AUTH_LOCKOUT_BASE_MINUTES) || 1) * 60 * 1000,
+    maxMs: (Number(process.env.AUTH_LOCKOUT_MAX_MINUTES) || 30) * 60 * 1000,
+  };
+}
+
+function lockError(lockedUntil, now = new Date()) {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil - now) / 1000));
+  const minutes = Math.ceil(retryAfter / 60);
+  const err = new Error(`Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+  err.status = 429;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+/** Throws with .status 429 (and .retryAfter seconds) while the account is locked for this kind */
+export async function assertNotLocked(userId, kind) {
+  const now = new Date();
+  const lock = await AuthLock.findOne({ userId, kind, lockedUntil: { $gt: now } }).select('lockedUntil').lean();
+  if (lock) throw lockError(lock.lockedUntil, now);
+}
+
+/**
+ * Count a failed attempt; locks the account once the threshold is reached.
+ * @returns {Promise<{ locked: boolean, lockedUntil?: Date, remaining: number }>}
+ */
+export async function recordFailure(userId, kind, { ip } = {}) {
+  const { maxFailures, baseMs, maxMs } = settings();
+  const now = new Date();
+  const existing = await AuthLock.findOne({ userId, kind }).lean();
+  const stale = existing?.lastFailureAt && now - existing.lastFailureAt > RESET_AFTER_MS;
+  const lock = await AuthLock.findOneAndUpdate(
+    { userId, kind },
+    stale
+      ? { $set: { failures: 1, lockouts: 0, lastFailureAt: now, lastIp: ip }, $unset: { lockedUntil: 1 } }
+      : { $inc: { failures: 1 }, $set: { lastFailureAt: now, lastIp: ip } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  if (lock.failures < maxFailures) return { locked: false, remaining: maxFailures - lock.failures };
+  const lockedUntil = new Date(now.getTime() + Math.min(baseMs * 2 ** lock.lockouts, maxMs));
+  // Conditional, so failures arriving together at the threshold lock (and double the backoff) once
+  const result = await AuthLock.updateOne(
+    { _id: lock._id, failures: { $gte: maxFailures }, lockouts: lock.lockouts },
+    { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } }
+  );
+  if (result.modifiedCount === 0) return { locked: false, remaining: 0 };
+  console.warn(`[Auth] ${kind} locked for user ${userId} until ${lockedUntil.toISOString()}`);
+  return { locked: true, lockedUntil, remaining: 0 };
+}
+
+/** Throws the 429 lock error if recordFailure just locked the account */
+export async function recordFailureOrLock(userId, kind, opts) {
+  const result = await recordFailure(userId, kind, opts);
+  if (result.locked) throw lockError(result.lockedUntil);
+  return result;
+}
+
+export async function clearFailures(userId, kind) {
+  await AuthLock.deleteOne({ userId, kind });
+}
+
+/**
+ * Admin view: accounts that are locked now (or, with includeFailures, that have recent failures).
+ * @returns {Promise<{ items: object[], total: number, page: number, pages: number }>}
+ */
+export async function listLocks({ userId, kind, includeFailures = false, page = 1, limit = 20 } = {}) {
+  const now = new Date();
+  const filter = includeFailures ? { $or: [{ lockedUntil: { $gt: now } }, { failures: { $gt: 0 } }] } : { lockedUntil: { $gt: now } };
+  if (userId) filter.userId = userId;
+  if (kind) filter.kind = kind;
+  const [items, total] = await Promise.all([
+    AuthLock.find(filter)
+      .populate('userId', 'name email role')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuthLock.countDocuments(filter),
+  ]);
+  return { items, total, page, pages: Math.ceil(total / limit) };
+}
+
+/** Clear a user's locks (all kinds, or one); returns how many records were removed */
+export async function clearLocks(userId, kind) {
+  const result = await AuthLock.deleteMany({ userId, ...(kind && { kind }) });
+  return result.deletedCount;
+}
@@ -0,0 +1,220 @@
+/**
+ * Outbound email: Mongo-backed outbox + delivery worker.
+ *
+ * Transport is chosen by MAIL_TRANSPORT:
+ * - smtp (default): SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS (spaces trimmed), SMTP_FROM
+ * - file: writes each email as an .eml file into MAIL_DIR (default ./tmp/mail)
+ * - memory: keeps the last 200 emails in an in-process mailbox (see getDevMailbox)
+ *
+ * Failed deliveries are retried with exponential backoff (30s, 1m, 2m … capped at 1h)
+ * and marked dead after maxAttempts. Admins can resend dead emails, except sensitive ones
+ * (OTPs, reset links): their bodies are purged once sent or dead, and a stale code should
+ * never arrive late — the user requests a new one instead.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import OutboundEmail from '../models/OutboundEmail.js';
+
+const MEMORY_MAILBOX_LIMIT = 200;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const memoryMailbox = [];
+let cachedTransporter = null;
+let workerTimer = null;
+let draining = false;
+
+export function mailTransportName() {
+  const name = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+  return ['smtp', 'file', 'memory'].includes(name) ? name : 'smtp';
+}
+
+function smtpConfig() {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 587);
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS ? String(process.env.SMTP_PASS).replace(/\s/g, '') : '';
+  if (!host || !user || !pass) return null;
+  return {
+    host,
+    port,
+    secure: port === 465,
+    auth: { user, pass },
+    // Gmail port 587 uses STARTTLS; ensure TLS is required
+    ...(port === 587 && { requireTLS: true }),
+  };
+}
+
+// True when the selected transport can deliver (file/memory always can)
+export function isMailConfigured() {
+  return mailTransportName() !== 'smtp' || !!smtpConfig();
+}
+
+function getTransporter() {
+  if (cachedTransporter) return cachedTransporter;
+  const name = mailTransportName();
+  if (name === 'file') cachedTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  else if (name === 'memory') cachedTransporter = nodemailer.createTransport({ jsonTransport: true });
+  else {
+    const config = smtpConfig();
+    if (!config) throw new Error('SMTP not configured. Check SMTP_HOST, SMTP_USER, SMTP_PASS in .env');
+    cachedTransporter = nodemailer.createTransport(config);
+  }
+  return cachedTransporter;
+}
+
+function fromAddress() {
+  return process.env.SMTP_FROM || process.env.SMTP_USER || 'IAS Platform <no-reply@localhost>';
+}
+
+/**
+ * Deliver one message right now through the configured transport (no outbox).
+ * @param {{ to: string, subject: string, text?: string, html?: string }} message
+ * @returns {Promise<{ messageId: string, transport: string }>}
+ */
+export async function deliverNow({ to, subject, text, html }) {
+  const transport = mailTransportName();
+  const info = await getTransporter().sendMail({ from: fromAddress(), to, subject, text, html });
+  if (transport === 'file') {
+    const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = String(to).replace(/[^a-z0-9@._-]/gi, '_');
+    await fs.writeFile(path.join(dir, `${Date.now()}-${safeTo}.eml`), info.message);
+  } else if (transport === 'memory') {
+    memoryMailbox.unshift({ ...JSON.parse(info.message), to, receivedAt: new Date() });
+    memoryMailbox.length = Math.min(memoryMailbox.length, MEMORY_MAILBOX_LIMIT);
+  }
+  return { messageId: info.messageId, transport };
+}
+
+export function getDevMailbox() {
+  return memoryMailbox;
+}
+
+export function clearDevMailbox() {
+  memoryMailbox.length = 0;
+}
+
+function backoffMs(attempts) {
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Claim the next due email (or one stuck in "sending" after a crash)
+function claimNext() {
+  const now = new Date();
+  return OutboundEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function deliverRecord(email) {
+  try {
+    const { messageId, transport } = await deliverNow(email);
+    const update = { $set: { status: 'sent', sentAt: new Date(), messageId, transport }, $unset: { lockedAt: 1, lastError: 1 } };
+    if (email.sensitive) Object.assign(update.$unset, { text: 1, html: 1 });
+    await OutboundEmail.updateOne({ _id: email._id }, update);
+    return true;
+  } catch (err) {
+    const dead = email.attempts >= email.maxAttempts;
+    await OutboundEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'queued',
+          lastError: (err.message || String(err)).slice(0, 1000),
+          nextAttemptAt: new Date(Date.now() + backoffMs(email.attempts)),
+        },
+        $unset: { lockedAt: 1, ...(dead && email.sensitive && { text: 1, html: 1 }) },
+      }
+    );
+    console.error(`[Mail] Delivery to ${email.to} failed (attempt ${email.attempts}/${email.maxAttempts}${dead ? ', giving up' : ''}):`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Deliver due emails from the outbox. Safe to call concurrently (records are claimed atomically).
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function processOutbox({ limit = 50 } = {}) {
+  const result = { sent: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const email = await claimNext();
+    if (!email) break;
+    if (await deliverRecord(email)) result.sent++;
+    else result.failed++;
+  }
+  return result;
+}
+
+// Drain the outbox soon without making the caller wait
+function kickWorker() {
+  if (draining) return;
+  draining = true;
+  setImmediate(() => {
+    processOutbox()
+      .catch((err) => console.error('[Mail] Outbox run failed:', err.message))
+      .finally(() => {
+        draining = false;
+      });
+  });
+}
+
+/**
+ * Queue an email for delivery. Resolves once the outbox record is stored.
+ * @param {{ to: string, subject: string, text?: string, html?: string, category?: string, sensitive?: boolean }} message
+ * @returns {Promise<object>} the OutboundEmail document
+ */
+export async function enqueueEmail({ to, subject, text, html, category = 'other', sensitive = false }) {
+  const email = await OutboundEmail.create({ to, subject, text, html, category, sensitive });
+  kickWorker();
+  return email;
+}
+
+// Re-queue a dead (or stuck) email with a fresh attempt budget. Throws with .status 400 for sensitive emails.
+export async function resendEmail(id) {
+  if (await OutboundEmail.exists({ _id: id, sensitive: true })) {
+    const err = new Error('Codes and reset links are not resent; the user should request a new one');
+    err.status = 400;
+    throw err;
+  }
+  const email = await OutboundEmail.findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'queued'] }, sensitive: { $ne: true } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: 1, lockedAt: 1 } },
+    { new: true }
+  );
+  if (email) kickWorker();
+  return email;
+}
+
+// Drop bodies of sensitive emails that went dead (including ones from before this was done on failure)
+export async function purgeDeadSensitiveBodies() {
+  const result = await OutboundEmail.updateMany(
+    { status: 'dead', sensitive: true, $or: [{ text: { $exists: true } }, { html: { $exists: true } }] },
+    { $unset: { text: 1, html: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Start the periodic outbox worker (EMAIL_WORKER_INTERVAL_MS, default 15s).
+ * Timer is unref'd so it never keeps the process alive on its own.
+ */
+export function startEmailWorker() {
+  if (workerTimer) return;
+  const interval = Math.max(1000, Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 15000);
+  workerTimer = setInterval(kickWorker, interval);
+  workerTimer.unref();
+  purgeDeadSensitiveBodies().catch((err) => console.error('[Mail] Purging dead sensitive emails failed:', err.message));
+  kickWorker();
+  console.log(`[Mail] Outbox worker started (${mailTransportName()} transport, every ${interval / 1000}s)`);
+}
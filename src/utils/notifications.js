@@ -0,0 +1,135 @@
+/**
+ * Application lifecycle email notifications.
+ * notifyApplicant() returns immediately; loading the application and talking to
+ * SMTP happen after the HTTP response, so a slow mail server never delays it.
+ */
+import Application from '../models/Application.js';
+import { sendEmail } from './sendEmail.js';
+import { escapeHtml } from './html.js';
+
+// Notification type → User.notificationPreferences key that opts out of it
+export const NOTIFICATION_CATEGORIES = {
+  payment_confirmed: 'paymentConfirmations',
+  status_changed: 'statusUpdates',
+  refund_issued: 'refunds',
+};
+
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  under_review: 'Under review',
+  shortlisted: 'Shortlisted',
+  rejected: 'Not successful',
+  accepted: 'Accepted',
+};
+
+const STATUS_MESSAGES = {
+  under_review: 'Your application is now being reviewed.',
+  shortlisted: 'Good news — you have been shortlisted. The employer may contact you with next steps.',
+  rejected: 'Unfortunately your application was not successful this time. Keep applying — new opportunities are posted regularly.',
+  accepted: 'Congratulations — your application has been accepted!',
+};
+
+function formatAmount(amount, currency = 'KES') {
+  return `${currency} ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
+
+function applicationsUrl() {
+  return `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/app/applications`;
+}
+
+// Wrap paragraphs in the same plain layout as the auth emails
+function layout(name, paragraphs) {
+  const url = applicationsUrl();
+  return {
+    text: `Hi ${name},\n\n${paragraphs.join('\n\n')}\n\nView your applications: ${url}\n\n— IAS Platform`,
+    html: `
+        <p>Hi ${escapeHtml(name)},</p>
+        ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n        ')}
+        <p><a href="${escapeHtml(url)}">View your applications</a></p>
+        <p>— IAS Platform</p>
+      `,
+  };
+}
+
+/**
+ * Build subject/text/html for a notification.
+ * @param {string} type - one of NOTIFICATION_CATEGORIES
+ * @param {{ name: string, title: string, company: string, status?: string, amount?: number, currency?: string }} data
+ */
+export function renderNotification(type, data) {
+  const role = `${data.title} at ${data.company}`;
+  switch (type) {
+    case 'payment_confirmed':
+      if (!Number(data.amount)) {
+        return {
+          subject: `Application submitted — ${data.title}`,
+          ...layout(data.name, [
+            `Your application fee for ${role} was waived.`,
+            'Your application has been submitted and will be reviewed shortly.',
+          ]),
+        };
+      }
+      return {
+        subject: `Payment received — ${data.title}`,
+        ...layout(data.name, [
+          `We received your application fee of ${formatAmount(data.amount, data.currency)} for ${role}.`,
+          'Your application has been submitted and will be reviewed shortly.',
+        ]),
+      };
+    case 'status_changed':
+      return {
+        subject: `Application update: ${STATUS_LABELS[data.status] || data.status} — ${data.title}`,
+        ...layout(data.name, [
+          `The status of your application for ${role} is now: ${STATUS_LABELS[data.status] || data.status}.`,
+          ...(STATUS_MESSAGES[data.status] ? [STATUS_MESSAGES[data.status]] : []),
+        ]),
+      };
+    case 'refund_issued':
+      return {
+        subject: `Refund issued — ${data.title}`,
+        ...layout(data.name, [
+          `A refund of ${formatAmount(data.amount, data.currency)} for your application to ${role} has been issued.`,
+          'Depending on your payment method it may take a few days to reflect.',
+        ]),
+      };
+    default:
+      throw new Error(`Unknown notification type: ${type}`);
+  }
+}
+
+async function deliver(type, applicationId, extra) {
+  const application = await Application.findById(applicationId)
+    .select('userId opportunityId status amountPaid refundAmount currency')
+    .populate('userId', 'name email notificationPreferences')
+    .populate('opportunityId', 'title company currency')
+    .lean();
+  const user = application?.userId;
+  if (!user?.email) return;
+  const prefKey = NOTIFICATION_CATEGORIES[type];
+  if (user.notificationPreferences?.[prefKey] === false) return;
+  const message = renderNotification(type, {
+    name: user.name || 'there',
+    title: application.opportunityId?.title || 'your application',
+    company: application.opportunityId?.company || 'the employer',
+    status: application.status,
+    amount: type === 'refund_issued' ? application.refundAmount : application.amountPaid,
+    currency: application.currency || application.opportunityId?.currency || 'KES',
+    ...extra,
+  });
+  const result = await sendEmail({ to: user.email, ...message });
+  if (!result.ok) console.warn(`[Notify] ${type} email for application ${applicationId} not sent:`, result.error);
+}
+
+/**
+ * Fire-and-forget notification to the applicant. Never throws, never blocks.
+ * @param {'payment_confirmed'|'status_changed'|'refund_issued'} type
+ * @param {string|object} applicationId
+ * @param {object} [extra] - overrides for template data (e.g. { amount })
+ */
+export function notifyApplicant(type, applicationId, extra = {}) {
+  setImmediate(() => {
+    deliver(type, applicationId, extra).catch((err) => {
+      console.error(`[Notify] ${type} failed for application ${applicationId}:`, err.message);
+    });
+  });
+}
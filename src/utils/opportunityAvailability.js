@@ -0,0 +1,38 @@
+/**
+ * Whether an opportunity accepts applications: it must be active and its deadline (if any)
+ * still ahead. The expiry job closes listings once the deadline passes, but these checks
+ * hold in between runs too.
+ */
+
+function availabilityError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Mongo filter for opportunities open to applicants */
+export function openFilter(now = new Date()) {
+  return { isActive: true, $or: [{ deadline: null }, { deadline: { $gt: now } }] };
+}
+
+export function isPastDeadline(opportunity, now = new Date()) {
+  return !!opportunity?.deadline && new Date(opportunity.deadline) <= now;
+}
+
+/** Why applying to / paying for this opportunity is no longer allowed, or null if it is */
+export function closedMessage(opportunity, now = new Date()) {
+  if (!opportunity?.isActive) return 'Opportunity is closed';
+  if (isPastDeadline(opportunity, now)) return 'The application deadline for this opportunity has passed';
+  return null;
+}
+
+/**
+ * Parse a new deadline for extend/reopen. Throws with .status 400 unless it is a valid future date.
+ * @returns {Date}
+ */
+export function parseFutureDeadline(value, now = new Date()) {
+  const deadline = value ? new Date(value) : null;
+  if (!deadline || Number.isNaN(deadline.getTime())) throw availabilityError('A valid deadline is required');
+  if (deadline <= now) throw availabilityError('Deadline must be in the future');
+  return deadline;
+}
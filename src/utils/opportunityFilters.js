@@ -0,0 +1,168 @@
+/**
+ * Filters and facet counts for the public opportunity listing.
+ * Multi-value filters repeat the parameter (?category=ICT&category=Finance).
+ * Each facet is counted over every active filter except its own, so the frontend
+ * can show how many results picking another value would give.
+ */
+import escapeStringRegexp from 'escape-string-regexp';
+import Opportunity from '../models/Opportunity.js';
+import { openFilter } from './opportunityAvailability.js';
+import { DEFAULT_CURRENCY } from './fees.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_VALUES = 20;
+const FACET_LIMIT = 30;
+
+// Fee ranges for the fee facet, counted per currency (whole units, inclusive); max null = no upper bound
+export const FEE_BUCKETS = [
+  { min: 0, max: 0 },
+  { min: 1, max: 250 },
+  { min: 251, max: 500 },
+  { min: 501, max: 1000 },
+  { min: 1001, max: 2500 },
+  { min: 2501, max: null },
+];
+
+export function safeRegex(str) {
+  if (!str || typeof str !== 'string') return null;
+  try {
+    return new RegExp(escapeStringRegexp(str.trim()), 'i');
+  } catch {
+    return null;
+  }
+}
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// ?x=a&x=b / ?x[]=a → ['a', 'b']
+function values(param) {
+  const list = Array.isArray(param) ? param : [param];
+  return list
+    .filter((v) => typeof v === 'string')
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .slice(0, MAX_VALUES);
+}
+
+// Case-insensitive substring match on any of the values (same as the old single-value regex)
+function anyOf(field, param) {
+  const regexes = values(param).map(safeRegex).filter(Boolean);
+  if (regexes.length === 0) return null;
+  return { [field]: regexes.length === 1 ? regexes[0] : { $in: regexes } };
+}
+
+function number(param, name) {
+  if (param == null || param === '') return undefined;
+  const n = Number(param);
+  if (!Number.isFinite(n) || n < 0) throw filterError(`${name} must be a non-negative number`);
+  return n;
+}
+
+// Listings created before fees had a currency have no currency field; they are in KES
+const CURRENCY = { $ifNull: ['$currency', DEFAULT_CURRENCY] };
+
+function currencyIn(currencies) {
+  return { currency: { $in: currencies.includes(DEFAULT_CURRENCY) ? [...currencies, null] : currencies } };
+}
+
+/** Combine clauses (and an optional search match) into one query */
+export function where(clauses, searchMatch = {}) {
+  const list = clauses.filter(Boolean);
+  return { ...searchMatch, ...(list.length && { $and: list }) };
+}
+
+/**
+ * Parse listing filters. Throws with .status 400 on invalid numbers.
+ * Query: category, location, duration, type, currency (multi-value), feeMin, feeMax (need a
+ * single currency), closingWithinDays (deadline between now and N days from now). Expired
+ * listings are never included.
+ * @returns {{ clauses: object[], dims: Record<string, object|null> }} fixed clauses, and faceted ones by facet name
+ */
+export function listFilters(query, now = new Date()) {
+  // Listings past their deadline are always hidden, even before the expiry job closes them
+  const clauses = [openFilter(now)];
+  const within = number(query.closingWithinDays, 'closingWithinDays');
+  if (within !== undefined) clauses.push({ deadline: { $gt: now, $lte: new Date(now.getTime() + within * DAY_MS) } });
+
+  const feeMin = number(query.feeMin, 'feeMin');
+  const feeMax = number(query.feeMax, 'feeMax');
+  if (feeMin !== undefined && feeMax !== undefined && feeMin > feeMax) throw filterError('feeMin cannot exceed feeMax');
+  const types = values(query.type);
+  const currencies = values(query.currency).map((c) => c.toUpperCase());
+  // Fees in different currencies aren't comparable, so a fee range needs exactly one currency
+  const hasFeeRange = feeMin !== undefined || feeMax !== undefined;
+  if (hasFeeRange && currencies.length !== 1) throw filterError('feeMin/feeMax require a single currency');
+
+  const dims = {
+    category: anyOf('category', query.category),
+    location: anyOf('location', query.location),
+    duration: anyOf('duration', query.duration),
+    type: types.length ? { type: { $in: types } } : null,
+    currency: currencies.length ? currencyIn(currencies) : null,
+    fee: hasFeeRange
+      ? {
+          ...currencyIn([currencies[0]]),
+          applicationFee: { ...(feeMin !== undefined && { $gte: feeMin }), ...(feeMax !== undefined && { $lte: feeMax }) },
+        }
+      : null,
+  };
+  return { clauses, dims };
+}
+
+function valueFacet(field, value = `$${field}`) {
+  return [
+    { $group: { _id: value, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+  ];
+}
+
+/**
+ * Facet counts for category, location, duration, type, currency and fee range
+ * (fee: one { currency, buckets } entry per currency).
+ * @param {object[]} clauses - fixed clauses from listFilters
+ * @param {Record<string, object|null>} dims - faceted clauses from listFilters
+ * @param {object} [searchMatch] - $text or fallback search match (applied to every facet)
+ */
+export async function facetCounts(clauses, dims, searchMatch = {}) {
+  const others = (name) => ({
+    $match: where(Object.entries(dims).filter(([key]) => key !== name).map(([, clause]) => clause)),
+  });
+  const feeBucket = {
+    $switch: {
+      branches: FEE_BUCKETS.filter((b) => b.max != null).map((b, i) => ({
+        case: { $lte: [{ $ifNull: ['$applicationFee', 0] }, b.max] },
+        then: i,
+      })),
+      default: FEE_BUCKETS.length - 1,
+    },
+  };
+  const [result] = await Opportunity.aggregate([
+    { $match: where(clauses, searchMatch) },
+    {
+      $facet: {
+        category: [others('category'), ...valueFacet('category')],
+        location: [others('location'), ...valueFacet('location')],
+        duration: [others('duration'), ...valueFacet('duration')],
+        type: [others('type'), ...valueFacet('type')],
+        currency: [others('currency'), ...valueFacet('currency', CURRENCY)],
+        fee: [others('fee'), { $group: { _id: { currency: CURRENCY, bucket: feeBucket }, count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+  const { fee, ...byValue } = result || {};
+  const facets = {};
+  for (const [name, rows] of Object.entries(byValue)) facets[name] = rows.map((r) => ({ value: r._id, count: r.count }));
+  const feeCounts = new Map((fee || []).map((r) => [`${r._id.currency}|${r._id.bucket}`, r.count]));
+  const feeCurrencies = [...new Set((fee || []).map((r) => r._id.currency))].sort();
+  facets.fee = feeCurrencies.map((currency) => ({
+    currency,
+    buckets: FEE_BUCKETS.map((b, i) => ({ ...b, count: feeCounts.get(`${currency}|${i}`) || 0 })),
+  }));
+  return facets;
+}
@@ -1,9 +1,15 @@
 import crypto from 'crypto';
 
+// 6 digits from a CSPRNG
 export const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 export const hashOTP = (otp) => {
   return crypto.createHash('sha256').update(otp).digest('hex');
 };
+
+// Wrong guesses allowed against one OTP before it is burned
+export const otpMaxAttempts = () => {
+  return Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+};
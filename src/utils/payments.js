@@ -0,0 +1,213 @@
+/**
+ * Payment ledger. All payment outcomes (webhook, verify-payment, saved card) are
+ * reconciled here against the Payment record for their reference. The first
+ * success claims the record (applyingAt), promotes the application and only then
+ * marks it applied (appliedAt); replays and retries only append to the payment's
+ * event log. A success whose apply step failed or crashed is retried by the next
+ * reconcile (verify, webhook redelivery or the reconciliation job).
+ */
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+import { applyTransition } from './applicationStatus.js';
+import { notifyApplicant } from './notifications.js';
+
+const APPLY_LOCK_MS = 5 * 60 * 1000;
+
+// APP-<applicationId>-<timestamp> → applicationId (null if not one of ours)
+export function applicationIdFromReference(reference) {
+  if (typeof reference !== 'string' || !reference.startsWith('APP-')) return null;
+  const id = reference.replace(/^APP-/, '').replace(/-\d+$/, '');
+  return mongoose.isValidObjectId(id) ? id : null;
+}
+
+function ledgerStatus(paystackStatus) {
+  if (paystackStatus === 'success') return 'success';
+  if (['failed', 'abandoned', 'reversed'].includes(paystackStatus)) return 'failed';
+  return 'pending';
+}
+
+/**
+ * Normalize a Paystack transaction object (webhook data or /transaction/verify data).
+ * Paystack amounts are in the smallest unit; the ledger stores major units.
+ */
+export function fromPaystackTransaction(tx = {}) {
+  return {
+    status: ledgerStatus(tx.status),
+    amount: tx.amount != null ? Number(tx.amount) / 100 : undefined,
+    currency: tx.currency,
+    transactionId: tx.id != null ? String(tx.id) : undefined,
+    channel: tx.channel,
+    gatewayResponse: tx.gateway_response,
+    paidAt: tx.paid_at ? new Date(tx.paid_at) : undefined,
+    authorization: tx.authorization,
+  };
+}
+
+/**
+ * Record a new payment attempt (checkout link created, M-Pesa STK push sent, saved card charged).
+ * @param {object} opts - { reference, applicationId, userId, amount, currency, method, status, source }
+ */
+export async function recordPaymentAttempt({ reference, applicationId, userId, amount, currency = 'KES', method, status = 'initialized', source = 'init' }) {
+  return Payment.create({
+    reference,
+    applicationId,
+    userId,
+    amount,
+    currency,
+    method,
+    status,
+    events: [{ status, source }],
+  });
+}
+
+async function saveReusableCard(userId, authorization) {
+  if (!userId || !authorization?.authorization_code || !authorization?.reusable) return;
+  await User.findByIdAndUpdate(userId, {
+    paystackAuthorizationCode: authorization.authorization_code,
+    paystackCardLast4: authorization?.last4 || null,
+    paystackCardType: authorization?.card_type || null,
+  });
+}
+
+/**
+ * Apply a payment outcome to the ledger and, on first success, to the application.
+ * @param {string} reference - Paystack reference (APP-…)
+ * @param {object} result - normalized outcome ({ status, amount?, currency?, transactionId?, channel?, gatewayResponse?, paidAt?, authorization? })
+ * @param {object} opts - { source: 'webhook'|'verify'|'saved_card'|'mpesa'|'reconcile'|'waiver', actor?: user doc }
+ * @returns {Promise<{ payment: object|null, application?: object, applied: boolean, duplicate?: boolean }>}
+ */
+export async function reconcilePayment(reference, result, { source, actor } = {}) {
+  const applicationId = applicationIdFromReference(reference);
+  if (!applicationId) return { payment: null, applied: false };
+
+  let payment = await Payment.findOne({ reference });
+  if (!payment) {
+    // Reference created before the ledger existed (or its init record was lost)
+    const application = await Application.findById(applicationId).select('userId').lean();
+    if (!application) return { payment: null, applied: false };
+    payment = await Payment.findOneAndUpdate(
+      { reference },
+      {
+        $setOnInsert: {
+          applicationId,
+          userId: application.userId,
+          method: result.channel === 'mobile_money' ? 'mpesa' : 'checkout',
+          amount: result.amount ?? 0,
+          currency: result.currency || 'KES',
+          status: 'initialized',
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  if (result.status !== 'success') {
+    // Pending/failed never override a success or refund
+    await Payment.updateOne(
+      { reference, status: { $nin: ['success', 'refunded'] } },
+      {
+        $set: { status: result.status, ...(result.gatewayResponse && { gatewayResponse: result.gatewayResponse }) },
+        $push: { events: { status: result.status, source } },
+      }
+    );
+    return { payment, applied: false };
+  }
+
+  const now = new Date();
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      reference,
+      appliedAt: null,
+      $or: [{ applyingAt: null }, { applyingAt: { $lt: new Date(now.getTime() - APPLY_LOCK_MS) } }],
+    },
+    {
+      $set: {
+        status: 'success',
+        applyingAt: now,
+        paidAt: result.paidAt || now,
+        ...(result.amount != null && { amount: result.amount }),
+        ...(result.currency && { currency: result.currency }),
+        ...(result.transactionId && { paystackTransactionId: result.transactionId }),
+        ...(result.channel && { channel: result.channel }),
+        ...(result.gatewayResponse && { gatewayResponse: result.gatewayResponse }),
+      },
+      $push: { events: { status: 'success', source } },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Payment.findOne({ reference }).select('appliedAt').lean();
+    const note = current?.appliedAt ? 'duplicate — already applied' : 'duplicate — being applied';
+    await Payment.updateOne({ reference }, { $push: { events: { status: 'success', source, note } } });
+    return { payment, applied: false, duplicate: true };
+  }
+
+  const transactionId = claimed.paystackTransactionId || reference;
+  let application;
+  try {
+    application = await applyTransition(applicationId, 'pending_payment', 'submitted', {
+      by: source === 'waiver' ? 'waiver' : 'payment',
+      event: 'payment',
+      actor,
+      amount: claimed.amount,
+      meta: { source, reference, channel: claimed.channel },
+      set: {
+        paymentTransactionId: transactionId,
+        amountPaid: claimed.amount,
+        currency: claimed.currency,
+        paidAt: claimed.paidAt,
+      },
+    });
+  } catch (err) {
+    // Release the claim so the next reconcile retries
+    await Payment.updateOne({ _id: claimed._id, applyingAt: now }, { $unset: { applyingAt: 1 } }).catch(() => {});
+    throw err;
+  }
+  if (!application) {
+    // An earlier attempt may have promoted the application and died before marking the payment applied
+    const current = await Application.findById(applicationId);
+    const promotedByUs = !!current && current.status !== 'pending_payment' && current.paymentTransactionId === transactionId;
+    await Payment.updateOne(
+      { _id: claimed._id },
+      {
+        $set: { appliedAt: new Date() },
+        $unset: { applyingAt: 1 },
+        ...(!promotedByUs && {
+          $push: { events: { status: 'success', source, note: 'application was not pending_payment — review for refund' } },
+        }),
+      }
+    );
+    if (!promotedByUs) {
+      // Paid twice (another reference already applied) or withdrawn meanwhile — leave for refund review
+      console.warn(`[Payments] ${reference} succeeded but application ${applicationId} was not pending_payment`);
+      return { payment: claimed, applied: false };
+    }
+    application = current;
+  } else {
+    await Payment.updateOne({ _id: claimed._id }, { $set: { appliedAt: new Date() }, $unset: { applyingAt: 1 } });
+  }
+
+  await saveReusableCard(application.userId, result.authorization);
+  notifyApplicant('payment_confirmed', application._id);
+  return { payment: claimed, application, applied: true };
+}
+
+/**
+ * Submit an application whose coupon waives the whole fee: records a zero-amount
+ * ledger entry and promotes the application without calling Paystack.
+ */
+export async function applyFeeWaiver(application, { actor, currency } = {}) {
+  const reference = `APP-${application._id}-${Date.now()}`;
+  await recordPaymentAttempt({
+    reference,
+    applicationId: application._id,
+    userId: application.userId,
+    amount: 0,
+    currency,
+    method: 'waiver',
+    source: 'waiver',
+  });
+  return reconcilePayment(reference, { status: 'success', amount: 0, channel: 'waiver' }, { source: 'waiver', actor });
+}
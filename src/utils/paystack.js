@@ -58,6 +58,7 @@ export async function initializeTransaction({ reference, amount, currency, callb
 export async function chargeMpesa({ reference, amount, currency, email, phone, metadata = {} }) {
   const secretKey = process.env.PAYSTACK_SECRET_KEY;
   if (!secretKey) throw new Error('PAYSTACK_SECRET_KEY is not set');
+  if (currency && currency !== 'KES') throw new Error('M-Pesa only supports KES payments');
 
   let normalized = String(phone || '').replace(/\s/g, '').replace(/^\+/, '');
   if (normalized.startsWith('0')) normalized = '254' + normalized.slice(1);
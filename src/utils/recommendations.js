@@ -0,0 +1,134 @@
+/**
+ * Opportunity recommendations. Signed-in users are scored against the categories,
+ * locations and types of what they saved and applied to, their role (attachments suit
+ * students) and deadline proximity; listings they applied to are excluded.
+ * Anonymous users (and users with no history) get popular/recent listings.
+ */
+import Opportunity from '../models/Opportunity.js';
+import Application from '../models/Application.js';
+import User from '../models/User.js';
+import { openFilter } from './opportunityAvailability.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANDIDATE_LIMIT = 200;
+
+// Signal weights; an application says more about interest than a save
+const WEIGHTS = {
+  applied: 2,
+  saved: 1,
+  category: 3,
+  location: 2,
+  type: 1.5,
+  role: 1.5,
+  closingSoon: 1,
+  popularity: 0.5,
+  recency: 1,
+};
+const CLOSING_SOON_DAYS = 14;
+const RECENT_DAYS = 30;
+
+// Types that suit each role (attachments are part of a course, so for students)
+const ROLE_TYPES = { student: 'attachment', graduate: 'internship' };
+
+function norm(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function addWeight(map, key, weight) {
+  if (key) map.set(key, (map.get(key) || 0) + weight);
+}
+
+// Share of the user's interest in a value (0–1)
+function affinity(map, key) {
+  if (!key || map.size === 0) return 0;
+  const total = [...map.values()].reduce((sum, w) => sum + w, 0);
+  return (map.get(key) || 0) / total;
+}
+
+async function userProfile(user) {
+  const [doc, applied] = await Promise.all([
+    User.findById(user._id).select('savedOpportunities').lean(),
+    Application.find({ userId: user._id }).select('opportunityId').lean(),
+  ]);
+  const appliedIds = applied.map((a) => String(a.opportunityId));
+  const savedIds = (doc?.savedOpportunities || []).map(String);
+  const history = await Opportunity.find({ _id: { $in: [...new Set([...appliedIds, ...savedIds])] } })
+    .select('category location type')
+    .lean();
+  const applyWeight = new Set(appliedIds);
+  const profile = { appliedIds, categories: new Map(), locations: new Map(), types: new Map() };
+  for (const opp of history) {
+    const weight = applyWeight.has(String(opp._id)) ? WEIGHTS.applied : WEIGHTS.saved;
+    addWeight(profile.categories, norm(opp.category), weight);
+    addWeight(profile.locations, norm(opp.location), weight);
+    addWeight(profile.types, opp.type, weight);
+  }
+  return profile;
+}
+
+// Applications per opportunity, as a popularity signal alongside views
+async function applicationCounts(ids) {
+  const rows = await Application.aggregate([
+    { $match: { opportunityId: { $in: ids } } },
+    { $group: { _id: '$opportunityId', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+}
+
+function score(opp, { profile, role, applications, now }) {
+  const reasons = [];
+  let total = 0;
+  const add = (value, reason) => {
+    if (value <= 0) return;
+    total += value;
+    if (reason) reasons.push(reason);
+  };
+  if (profile) {
+    add(WEIGHTS.category * affinity(profile.categories, norm(opp.category)), 'category');
+    add(WEIGHTS.location * affinity(profile.locations, norm(opp.location)), 'location');
+    add(WEIGHTS.type * affinity(profile.types, opp.type), 'type');
+  }
+  if (ROLE_TYPES[role]) {
+    if (opp.type === ROLE_TYPES[role]) add(WEIGHTS.role, 'role');
+    else total -= WEIGHTS.role / 2;
+  }
+  if (opp.deadline) {
+    const daysLeft = (new Date(opp.deadline) - now) / DAY_MS;
+    if (daysLeft <= CLOSING_SOON_DAYS) add(WEIGHTS.closingSoon * (1 - daysLeft / CLOSING_SOON_DAYS), 'closing_soon');
+  }
+  const popularity = Math.log1p(opp.viewCount || 0) / 5 + Math.log1p(applications.get(String(opp._id)) || 0) / 2;
+  add(WEIGHTS.popularity * Math.min(popularity, 2), null);
+  const ageDays = (now - new Date(opp.createdAt)) / DAY_MS;
+  add(WEIGHTS.recency * Math.max(0, 1 - ageDays / RECENT_DAYS), null);
+  return { score: Math.round(total * 1000) / 1000, reasons };
+}
+
+/**
+ * Recommended open opportunities.
+ * @param {object|null} user - signed-in user, or null for anonymous
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<object[]>} opportunities with { recommendation: { score, reasons } }
+ */
+export async function recommendOpportunities(user, { limit = 6 } = {}) {
+  const now = new Date();
+  const profile = user ? await userProfile(user) : null;
+  const candidates = await Opportunity.find({
+    ...openFilter(now),
+    ...(profile?.appliedIds.length && { _id: { $nin: profile.appliedIds } }),
+  })
+    .select('+viewCount')
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+  const applications = await applicationCounts(candidates.map((o) => o._id));
+  return candidates
+    .map((opp) => ({ opp, ...score(opp, { profile, role: user?.role, applications, now }) }))
+    .sort((a, b) => b.score - a.score || new Date(b.opp.createdAt) - new Date(a.opp.createdAt))
+    .slice(0, limit)
+    .map(({ opp, score: value, reasons }) => {
+      // viewCount was only selected for scoring; it stays hidden like everywhere else
+      const out = { ...opp, recommendation: { score: value, reasons } };
+      delete out.viewCount;
+      return out;
+    });
+}
@@ -0,0 +1,349 @@
+/**
+ * Refund lifecycle: requested → pending → processed | failed.
+ * Amounts are reserved on the Payment (refundPendingAmount) before Paystack is called,
+ * so concurrent or repeated requests can never refund more than was paid. Paystack
+ * refund (or, for M-Pesa transfer refunds, transfer) webhooks move refunds to processed
+ * (totals move to refundedAmount) or failed (the reservation is released and the
+ * application is left untouched).
+ */
+import Refund from '../models/Refund.js';
+import Payment from '../models/Payment.js';
+import Application from '../models/Application.js';
+import { refundTransaction, createTransferRecipient, initiateTransfer } from './paystack.js';
+import { historyEntry } from './applicationHistory.js';
+import { notifyApplicant } from './notifications.js';
+import { baseFee, feeCurrency } from './fees.js';
+
+function refundError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/**
+ * Ledger payment to refund against. Applications paid before the ledger existed get a
+ * synthesized success record from their amountPaid/paymentTransactionId.
+ */
+export async function findRefundablePayment(application) {
+  const payment = await Payment.findOne({ applicationId: application._id, appliedAt: { $ne: null } }).sort({ paidAt: -1 });
+  if (payment) return payment;
+  if (!application.paymentTransactionId) return null;
+  return Payment.findOneAndUpdate(
+    { reference: `APP-${application._id}-legacy` },
+    {
+      $setOnInsert: {
+        applicationId: application._id,
+        userId: application.userId?._id || application.userId,
+        method: 'checkout',
+        amount: application.amountPaid ?? baseFee(application.opportunityId),
+        currency: application.currency || feeCurrency(application.opportunityId),
+        status: 'success',
+        paystackTransactionId: application.paymentTransactionId,
+        paidAt: application.updatedAt,
+        appliedAt: application.updatedAt,
+        refundedAmount: application.refundedAt && application.refundAmount ? application.refundAmount : 0,
+        events: [{ status: 'success', source: 'legacy' }],
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+export function refundableAmount(payment) {
+  return round2(payment.amount - (payment.refundedAmount || 0) - (payment.refundPendingAmount || 0));
+}
+
+// Validate the amount and reserve it on the payment, then open the Refund record
+async function reserveRefund(application, { amount, reason, actor, method = 'paystack_refund', transferPhone }) {
+  if (application.status === 'pending_payment') throw refundError('Cannot refund application that has not been paid');
+  const payment = await findRefundablePayment(application);
+  if (!payment) throw refundError('No payment transaction to refund');
+  if (payment.method === 'waiver') throw refundError('Nothing to refund — the application fee was waived');
+  if (method === 'mpesa_transfer' && payment.currency !== 'KES') {
+    throw refundError(`M-Pesa transfers are KES only; this application was paid in ${payment.currency}`);
+  }
+  const remaining = refundableAmount(payment);
+  const value = round2(amount ?? remaining);
+  if (!(value > 0)) throw refundError(remaining > 0 ? 'Refund amount must be greater than 0' : 'Payment has already been fully refunded', remaining > 0 ? 400 : 409);
+  if (value > remaining) throw refundError(`Refund amount exceeds the refundable balance (${payment.currency} ${remaining})`, 409);
+
+  // Reserve atomically: processed + pending + this refund must stay within the amount paid
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      $expr: { $lte: [{ $add: ['$refundedAmount', '$refundPendingAmount', value] }, '$amount'] },
+    },
+    { $inc: { refundPendingAmount: value } },
+    { new: true }
+  );
+  if (!reserved) throw refundError('Refund amount exceeds the refundable balance', 409);
+
+  const refund = await Refund.create({
+    paymentId: payment._id,
+    applicationId: application._id,
+    userId: application.userId?._id || application.userId,
+    amount: value,
+    currency: payment.currency,
+    method,
+    transferPhone,
+    reason,
+    requestedBy: actor?._id,
+    events: [{ status: 'requested', source: 'admin', note: reason }],
+  });
+  return { payment, refund, value };
+}
+
+// Paystack call failed: release the reservation and close the refund as failed
+async function releaseRefund(payment, refund, err) {
+  await Payment.updateOne({ _id: payment._id }, { $inc: { refundPendingAmount: -refund.amount } });
+  refund.status = 'failed';
+  refund.failureReason = err.message;
+  refund.events.push({ status: 'failed', source: 'paystack', note: err.message });
+  await refund.save();
+}
+
+async function recordRefundPending(application, refund, { actor, reason, meta }) {
+  await Application.updateOne(
+    { _id: application._id },
+    {
+      $push: {
+        statusHistory: historyEntry({
+          event: 'refund',
+          from: application.status,
+          to: application.status,
+          actor,
+          notes: reason,
+          amount: refund.amount,
+          meta: { refundId: String(refund._id), refundStatus: 'pending', ...meta },
+        }),
+      },
+    }
+  );
+}
+
+/**
+ * Request a (partial) refund at Paystack.
+ * @param {object} application - Application document (opportunityId may be populated)
+ * @param {{ amount?: number, reason?: string, actor: object }} opts - amount defaults to the remaining refundable amount
+ * @returns {Promise<object>} the Refund document
+ */
+export async function requestRefund(application, { amount, reason, actor }) {
+  const { payment, refund, value } = await reserveRefund(application, { amount, reason, actor });
+
+  let data;
+  try {
+    data = await refundTransaction(payment.paystackTransactionId || payment.reference, {
+      amount: value,
+      currency: payment.currency,
+      reason: reason || `Refund for application ${application._id}`,
+    });
+  } catch (err) {
+    await releaseRefund(payment, refund, err);
+    throw refundError(err.message || 'Refund failed');
+  }
+
+  refund.status = 'pending';
+  if (data?.id != null) refund.paystackRefundId = String(data.id);
+  refund.events.push({ status: 'pending', source: 'paystack', note: data?.status });
+  await refund.save();
+  await recordRefundPending(application, refund, {
+    actor,
+    reason,
+    meta: { transaction: payment.paystackTransactionId || payment.reference },
+  });
+  if (data?.status === 'processed') await markRefundProcessed(refund, 'paystack');
+  return refund;
+}
+
+/**
+ * Refund to an M-Pesa number via a Paystack transfer (KES payments only). Reserved like
+ * requestRefund; the transfer.success / transfer.failed webhooks settle it.
+ * @param {object} application - Application document
+ * @param {{ amount?: number, phone: string, name?: string, reason?: string, actor: object }} opts
+ * @returns {Promise<object>} the Refund document
+ */
+export async function requestTransferRefund(application, { amount, phone, name, reason, actor }) {
+  const { payment, refund, value } = await reserveRefund(application, {
+    amount,
+    reason,
+    actor,
+    method: 'mpesa_transfer',
+    transferPhone: phone,
+  });
+  const reference = `REF-${application._id}-${Date.now()}`;
+  let transfer;
+  try {
+    const recipient = await createTransferRecipient({ name: name || 'Recipient', phone, currency: 'KES' });
+    transfer = await initiateTransfer({
+      amount: value,
+      recipientCode: recipient.recipient_code,
+      reference,
+      reason: reason || 'Refund',
+      currency: 'KES',
+    });
+  } catch (err) {
+    await releaseRefund(payment, refund, err);
+    throw refundError(err.message || 'Transfer failed');
+  }
+
+  refund.status = 'pending';
+  const transferCode = transfer?.transfer_code ?? transfer?.id;
+  if (transferCode != null) refund.transferCode = String(transferCode);
+  refund.transferReference = reference;
+  refund.events.push({ status: 'pending', source: 'paystack', note: transfer?.status });
+  await refund.save();
+  await recordRefundPending(application, refund, {
+    actor,
+    reason,
+    meta: { method: 'mpesa_transfer', transferCode: refund.transferCode, reference },
+  });
+  if (transfer?.status === 'success') await markRefundProcessed(refund, 'paystack');
+  return refund;
+}
+
+/**
+ * Handle transfer.success / transfer.failed / transfer.reversed for transfer refunds.
+ * @returns {Promise<'processed'|'ignored'>}
+ */
+export async function handleTransferEvent(event, data) {
+  const or = [];
+  if (data?.transfer_code) or.push({ transferCode: String(data.transfer_code) });
+  if (data?.id != null) or.push({ transferCode: String(data.id) });
+  if (data?.reference) or.push({ transferReference: String(data.reference) });
+  if (or.length === 0) return 'ignored';
+  const refund = await Refund.findOne({ method: 'mpesa_transfer', $or: or });
+  if (!refund) return 'ignored';
+  if (event === 'transfer.success') {
+    await markRefundProcessed(refund);
+  } else {
+    await markRefundFailed(refund, data?.reason || data?.status || 'Transfer failed at Paystack');
+  }
+  return 'processed';
+}
+
+/** Move a requested/pending refund to processed and roll the totals forward. Idempotent. */
+export async function markRefundProcessed(refund, source = 'webhook') {
+  const now = new Date();
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['requested', 'pending'] } },
+    { $set: { status: 'processed', processedAt: now }, $push: { events: { status: 'processed', source } } },
+    { new: true }
+  );
+  if (!updated) return null;
+  const payment = await Payment.findByIdAndUpdate(
+    updated.paymentId,
+    { $inc: { refundPendingAmount: -updated.amount, refundedAmount: updated.amount } },
+    { new: true }
+  );
+  if (payment && round2(payment.refundedAmount) >= round2(payment.amount)) {
+    await Payment.updateOne(
+      { _id: payment._id, status: 'success' },
+      { $set: { status: 'refunded' }, $push: { events: { status: 'refunded', source } } }
+    );
+  }
+  const application = await Application.findById(updated.applicationId).select('status');
+  await Application.updateOne(
+    { _id: updated.applicationId },
+    {
+      $set: { refundedAt: now },
+      $inc: { refundAmount: updated.amount },
+      $push: {
+        statusHistory: historyEntry({
+          event: 'refund',
+          from: application?.status,
+          to: application?.status,
+          amount: updated.amount,
+          meta: { refundId: String(updated._id), refundStatus: 'processed', source },
+        }),
+      },
+    }
+  );
+  notifyApplicant('refund_issued', updated.applicationId, { amount: updated.amount, currency: updated.currency });
+  return updated;
+}
+
+/** Mark a refund failed and release its reservation so it can be retried. Idempotent. */
+export async function markRefundFailed(refund, reason, source = 'webhook') {
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['requested', 'pending'] } },
+    { $set: { status: 'failed', failureReason: reason }, $push: { events: { status: 'failed', source, note: reason } } },
+    { new: true }
+  );
+  if (!updated) return null;
+  await Payment.updateOne({ _id: updated.paymentId }, { $inc: { refundPendingAmount: -updated.amount } });
+  await Application.updateOne(
+    { _id: updated.applicationId },
+    {
+      $push: {
+        statusHistory: historyEntry({
+          event: 'refund',
+          amount: updated.amount,
+          notes: reason,
+          meta: { refundId: String(updated._id), refundStatus: 'failed', source },
+        }),
+      },
+    }
+  );
+  return updated;
+}
+
+// Locate our Refund for a Paystack refund webhook payload
+async function findRefundForEvent(data) {
+  if (data?.id != null) {
+    const byId = await Refund.findOne({ paystackRefundId: String(data.id) });
+    if (byId) return byId;
+  }
+  const txRef = data?.transaction_reference ?? data?.transaction?.reference;
+  const txId = data?.transaction?.id ?? data?.transaction;
+  const or = [];
+  if (txRef) or.push({ reference: String(txRef) }, { paystackTransactionId: String(txRef) });
+  if (txId != null && typeof txId !== 'object') or.push({ paystackTransactionId: String(txId) });
+  if (or.length === 0) return null;
+  const payment = await Payment.findOne({ $or: or }).select('_id').lean();
+  if (!payment) return null;
+  const amount = data?.amount != null ? round2(Number(data.amount) / 100) : null;
+  return Refund.findOne({
+    paymentId: payment._id,
+    status: { $in: ['requested', 'pending'] },
+    ...(amount != null && { amount }),
+  }).sort({ createdAt: 1 });
+}
+
+/**
+ * Handle refund.pending / refund.processing / refund.processed / refund.failed.
+ * @returns {Promise<'processed'|'ignored'>}
+ */
+export async function handleRefundEvent(event, data) {
+  const refund = await findRefundForEvent(data);
+  if (!refund) return 'ignored';
+  if (!refund.paystackRefundId && data?.id != null) {
+    await Refund.updateOne({ _id: refund._id }, { $set: { paystackRefundId: String(data.id) } });
+  }
+  if (event === 'refund.processed') {
+    await markRefundProcessed(refund);
+  } else if (event === 'refund.failed') {
+    await markRefundFailed(refund, data?.merchant_note || data?.status || 'Refund failed at Paystack');
+  } else {
+    await Refund.updateOne(
+      { _id: refund._id, status: 'requested' },
+      { $set: { status: 'pending' }, $push: { events: { status: 'pending', source: 'webhook', note: event } } }
+    );
+  }
+  return 'processed';
+}
+
+// Applicant-facing refund view (no internal reason)
+export function sanitizeRefund(refund) {
+  return {
+    _id: refund._id,
+    amount: refund.amount,
+    currency: refund.currency,
+    status: refund.status,
+    createdAt: refund.createdAt,
+    processedAt: refund.processedAt,
+  };
+}
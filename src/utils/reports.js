@@ -0,0 +1,338 @@
+/**
+ * Admin finance reports: aggregation pipelines over Application payment fields
+ * (amountPaid, paidAt, status), the Payment ledger and the Refund ledger.
+ * Amounts are always grouped by currency — different currencies are never summed.
+ * Revenue is dated by when it was paid, refunds by when each refund was processed
+ * (partial refunds are counted separately).
+ * Also the per-opportunity funnel (views → saves → applications → decisions).
+ */
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import Opportunity from '../models/Opportunity.js';
+import User from '../models/User.js';
+import { APPLICATION_STATUSES } from './applicationStatus.js';
+
+export const REPORT_GROUPINGS = ['day', 'week', 'month', 'opportunity', 'category', 'currency'];
+// Conversion counts applications, not money, so there is no per-currency split
+export const CONVERSION_GROUPINGS = ['day', 'week', 'month', 'opportunity', 'category'];
+
+const DATE_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+function reportTimezone() {
+  return process.env.REPORTS_TIMEZONE || 'UTC';
+}
+
+function reportError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+function parseDate(value, name, endOfDay) {
+  if (value == null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw reportError(`Invalid ${name} date`);
+  // A bare YYYY-MM-DD `to` includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+/**
+ * Parse ?from=&to= (ISO 8601; `to` is exclusive unless date-only). Throws with .status 400.
+ * @returns {{ from?: Date, to?: Date }}
+ */
+export function parseDateRange(query) {
+  const from = parseDate(query.from, 'from', false);
+  const to = parseDate(query.to, 'to', true);
+  if (from && to && from >= to) throw reportError('from must be before to');
+  return { from, to };
+}
+
+/**
+ * Parse ?from=&to=&groupBy=.
+ * @returns {{ from?: Date, to?: Date, groupBy: string }}
+ */
+export function parseReportQuery(query, { defaultGroupBy = 'month', groupings = REPORT_GROUPINGS } = {}) {
+  const { from, to } = parseDateRange(query);
+  const groupBy = query.groupBy || defaultGroupBy;
+  if (!groupings.includes(groupBy)) throw reportError(`groupBy must be one of ${groupings.join(', ')}`);
+  return { from, to, groupBy };
+}
+
+export function dateRange(from, to) {
+  if (!from && !to) return { $ne: null };
+  return { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+}
+
+// Stages that add `_key` (the grouping value) for documents dated by `dateField`
+function keyStages(groupBy, dateField) {
+  if (DATE_FORMATS[groupBy]) {
+    return [{ $addFields: { _key: { $dateToString: { format: DATE_FORMATS[groupBy], date: dateField, timezone: reportTimezone() } } } }];
+  }
+  if (groupBy === 'opportunity') return [{ $addFields: { _key: '$opportunityId' } }];
+  if (groupBy === 'category') {
+    return [
+      { $lookup: { from: 'opportunities', localField: 'opportunityId', foreignField: '_id', as: '_opp' } },
+      { $addFields: { _key: { $ifNull: [{ $arrayElemAt: ['$_opp.category', 0] }, 'Uncategorized'] } } },
+      { $project: { _opp: 0 } },
+    ];
+  }
+  return [{ $addFields: { _key: null } }];
+}
+
+// Labels for grouping keys: period / category as-is, opportunity ids → title + company
+async function labelRows(groupBy, rows) {
+  if (groupBy === 'opportunity') {
+    const ids = [...new Set(rows.map((r) => String(r.key)))];
+    const opps = await Opportunity.find({ _id: { $in: ids } }).select('title company category').lean();
+    const byId = new Map(opps.map((o) => [String(o._id), o]));
+    return rows.map(({ key, ...rest }) => {
+      const opp = byId.get(String(key));
+      return { opportunityId: key, title: opp?.title || '(deleted)', company: opp?.company, category: opp?.category, ...rest };
+    });
+  }
+  if (groupBy === 'category') return rows.map(({ key, ...rest }) => ({ category: key, ...rest }));
+  if (DATE_FORMATS[groupBy]) return rows.map(({ key, ...rest }) => ({ period: key, ...rest }));
+  return rows.map(({ key, ...rest }) => rest);
+}
+
+/** Leading columns of a report row for this grouping (for CSV export) */
+export function groupColumns(groupBy) {
+  if (groupBy === 'opportunity') return ['opportunityId', 'title', 'company', 'category'];
+  if (groupBy === 'category') return ['category'];
+  if (DATE_FORMATS[groupBy]) return ['period'];
+  return [];
+}
+
+/**
+ * Fees collected, refunds and net revenue per group and currency.
+ * @param {{ from?: Date, to?: Date, groupBy: string }} opts
+ * @returns {Promise<object[]>} rows: { <group columns>, currency, payments, collected, refunds, refunded, net }
+ */
+export async function revenueReport({ from, to, groupBy }) {
+  const currency = { $ifNull: ['$currency', 'KES'] };
+  const [collected, refunded, legacyRefunded] = await Promise.all([
+    Application.aggregate([
+      // Payments applied before paidAt existed fall back to updatedAt
+      { $addFields: { _at: { $ifNull: ['$paidAt', '$updatedAt'] } } },
+      { $match: { amountPaid: { $gt: 0 }, _at: dateRange(from, to) } },
+      ...keyStages(groupBy, '$_at'),
+      { $group: { _id: { key: '$_key', currency }, payments: { $sum: 1 }, collected: { $sum: '$amountPaid' } } },
+    ]),
+    Refund.aggregate([
+      { $match: { status: 'processed', processedAt: dateRange(from, to) } },
+      ...(groupBy === 'opportunity' || groupBy === 'category'
+        ? [
+            { $lookup: { from: 'applications', localField: 'applicationId', foreignField: '_id', as: '_app' } },
+            { $addFields: { opportunityId: { $arrayElemAt: ['$_app.opportunityId', 0] } } },
+            { $project: { _app: 0 } },
+          ]
+        : []),
+      ...keyStages(groupBy, '$processedAt'),
+      { $group: { _id: { key: '$_key', currency }, refunds: { $sum: 1 }, refunded: { $sum: '$amount' } } },
+    ]),
+    // Refunds made before the Refund ledger existed only live on the application
+    Application.aggregate([
+      { $match: { refundAmount: { $gt: 0 }, refundedAt: dateRange(from, to) } },
+      { $lookup: { from: 'refunds', localField: '_id', foreignField: 'applicationId', as: '_refunds' } },
+      { $match: { _refunds: { $size: 0 } } },
+      { $project: { _refunds: 0 } },
+      ...keyStages(groupBy, '$refundedAt'),
+      { $group: { _id: { key: '$_key', currency }, refunds: { $sum: 1 }, refunded: { $sum: '$refundAmount' } } },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = (id) => {
+    const mapKey = `${id.key}|${id.currency}`;
+    if (!rows.has(mapKey)) rows.set(mapKey, { key: id.key, currency: id.currency, payments: 0, collected: 0, refunds: 0, refunded: 0 });
+    return rows.get(mapKey);
+  };
+  for (const r of collected) Object.assign(rowFor(r._id), { payments: r.payments, collected: round2(r.collected) });
+  for (const r of [...refunded, ...legacyRefunded]) {
+    const row = rowFor(r._id);
+    row.refunds += r.refunds;
+    row.refunded = round2(row.refunded + r.refunded);
+  }
+
+  const sorted = [...rows.values()]
+    .map((r) => ({ ...r, net: round2(r.collected - r.refunded) }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)) || a.currency.localeCompare(b.currency));
+  return labelRows(groupBy, sorted);
+}
+
+/**
+ * M-Pesa vs card (vs other channels) split of applied payments, from the Payment ledger.
+ * @returns {Promise<object[]>} rows: { method, currency, payments, collected, refunded }
+ */
+export async function paymentMethodReport({ from, to }) {
+  const rows = await Payment.aggregate([
+    { $match: { appliedAt: { $ne: null }, amount: { $gt: 0 }, paidAt: dateRange(from, to) } },
+    {
+      $addFields: {
+        _method: {
+          $switch: {
+            branches: [
+              { case: { $or: [{ $eq: ['$method', 'mpesa'] }, { $eq: ['$channel', 'mobile_money'] }] }, then: 'mpesa' },
+              { case: { $or: [{ $eq: ['$method', 'saved_card'] }, { $eq: ['$channel', 'card'] }] }, then: 'card' },
+            ],
+            default: { $ifNull: ['$channel', 'other'] },
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { method: '$_method', currency: '$currency' },
+        payments: { $sum: 1 },
+        collected: { $sum: '$amount' },
+        refunded: { $sum: '$refundedAmount' },
+      },
+    },
+    { $sort: { '_id.currency': 1, collected: -1 } },
+  ]);
+  return rows.map((r) => ({
+    method: r._id.method,
+    currency: r._id.currency,
+    payments: r.payments,
+    collected: round2(r.collected),
+    refunded: round2(r.refunded),
+  }));
+}
+
+/**
+ * Conversion from pending_payment to paid for applications created in the range.
+ * Waived = submitted without amountPaid (coupon waivers, legacy M-Pesa records).
+ * Withdrawn applications are deleted, so they are not counted.
+ * @returns {Promise<object[]>} rows: { <group columns>, created, paid, waived, pending, conversionRate }
+ */
+export async function conversionReport({ from, to, groupBy }) {
+  const rows = await Application.aggregate([
+    { $match: { createdAt: dateRange(from, to) } },
+    ...keyStages(groupBy, '$createdAt'),
+    {
+      $group: {
+        _id: '$_key',
+        created: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending_payment'] }, 1, 0] } },
+        paid: { $sum: { $cond: [{ $gt: ['$amountPaid', 0] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return labelRows(
+    groupBy,
+    rows.map((r) => {
+      const waived = r.created - r.pending - r.paid;
+      return {
+        key: r._id,
+        created: r.created,
+        paid: r.paid,
+        waived,
+        pending: r.pending,
+        conversionRate: r.created ? Math.round(((r.paid + waived) / r.created) * 10000) / 10000 : 0,
+      };
+    })
+  );
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// count / average / median of durations in ms, reported in hours
+function durationStats(values) {
+  if (values.length === 0) return { count: 0, avgHours: null, medianHours: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const avg = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return { count: sorted.length, avgHours: round2(avg / HOUR_MS), medianHours: round2(median / HOUR_MS) };
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+/**
+ * Funnel for one opportunity: views → saves → applications → paid/waived → decisions.
+ * Time to payment runs from application to paidAt; time to decision from submission
+ * (paidAt, else createdAt) to the first accepted/rejected status change.
+ * @param {object} opportunity - Opportunity document (viewCount is loaded separately)
+ */
+export async function opportunityFunnel(opportunity) {
+  const id = new mongoose.Types.ObjectId(String(opportunity._id));
+  const [counted, statusRows, timings, saves, applicantIds] = await Promise.all([
+    Opportunity.findById(id).select('+viewCount').lean(),
+    Application.aggregate([{ $match: { opportunityId: id } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Application.aggregate([
+      { $match: { opportunityId: id, status: { $ne: 'pending_payment' } } },
+      {
+        $project: {
+          createdAt: 1,
+          paidAt: 1,
+          submittedAt: { $ifNull: ['$paidAt', '$createdAt'] },
+          decidedAt: {
+            $min: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ['$statusHistory', []] },
+                    as: 'h',
+                    cond: { $and: [{ $eq: ['$$h.event', 'status_change'] }, { $in: ['$$h.to', ['accepted', 'rejected']] }] },
+                  },
+                },
+                as: 'h',
+                in: '$$h.at',
+              },
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          toPayment: { $cond: [{ $ifNull: ['$paidAt', false] }, { $subtract: ['$paidAt', '$createdAt'] }, null] },
+          toDecision: { $cond: [{ $ifNull: ['$decidedAt', false] }, { $subtract: ['$decidedAt', '$submittedAt'] }, null] },
+        },
+      },
+    ]),
+    User.countDocuments({ savedOpportunities: id }),
+    Application.distinct('userId', { opportunityId: id }),
+  ]);
+  const savedAndApplied = applicantIds.length
+    ? await User.countDocuments({ savedOpportunities: id, _id: { $in: applicantIds } })
+    : 0;
+
+  const byStatus = Object.fromEntries(APPLICATION_STATUSES.map((s) => [s, 0]));
+  for (const r of statusRows) byStatus[r._id] = r.count;
+  const applications = statusRows.reduce((sum, r) => sum + r.count, 0);
+  const pending = byStatus.pending_payment;
+  const converted = applications - pending;
+  const decided = byStatus.accepted + byStatus.rejected;
+  const views = counted?.viewCount || 0;
+
+  return {
+    opportunity: { _id: opportunity._id, title: opportunity.title, company: opportunity.company },
+    views,
+    saves,
+    savedAndApplied,
+    applications,
+    converted,
+    decided,
+    byStatus,
+    dropOff: { pendingPayment: pending, rate: ratio(pending, applications) },
+    rates: {
+      viewToApplication: ratio(applications, views),
+      saveToApplication: ratio(savedAndApplied, saves),
+      applicationToPaid: ratio(converted, applications),
+      acceptance: ratio(byStatus.accepted, decided),
+    },
+    timeToPayment: durationStats(timings.map((t) => t.toPayment).filter((v) => v != null && v >= 0)),
+    timeToDecision: durationStats(timings.map((t) => t.toDecision).filter((v) => v != null && v >= 0)),
+  };
+}
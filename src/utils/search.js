@@ -0,0 +1,72 @@
+/**
+ * Search helpers for the opportunity text index: query terms and highlighted snippets.
+ * Snippets are HTML-escaped with matches wrapped in <mark>, ready to render.
+ */
+import { escapeHtml } from './html.js';
+
+const SNIPPET_RADIUS = 80;
+
+// Fields checked for a snippet, most descriptive first
+const SNIPPET_FIELDS = ['description', 'requirements', 'title', 'company', 'category'];
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Words of a $text search string, lowercased; negated terms (-word) are dropped.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  if (typeof query !== 'string') return [];
+  return [
+    ...new Set(
+      query
+        .toLowerCase()
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter((t) => t && !t.startsWith('-'))
+        .map((t) => t.replace(/[^\p{L}\p{N}]+/gu, ''))
+        .filter((t) => t.length > 1)
+    ),
+  ];
+}
+
+// Matches words starting with any term (roughly following the index's stemming: "developers" ~ "developer")
+function termsRegex(terms) {
+  const stems = terms.map((t) => escapeRegex(t.length > 3 ? t.replace(/(es|s)$/, '') : t));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * First matching snippet of an opportunity for the given terms.
+ * @param {object} doc - opportunity
+ * @param {string[]} terms - from searchTerms()
+ * @returns {{ field: string, snippet: string } | null}
+ */
+export function highlight(doc, terms) {
+  if (!terms.length) return null;
+  const re = termsRegex(terms);
+  for (const field of SNIPPET_FIELDS) {
+    const value = Array.isArray(doc[field]) ? doc[field].join(' · ') : doc[field];
+    if (!value) continue;
+    const text = String(value);
+    re.lastIndex = 0;
+    const first = re.exec(text);
+    if (!first) continue;
+    const start = Math.max(0, first.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+    const excerpt = text.slice(start, end);
+    let snippet = '';
+    let last = 0;
+    re.lastIndex = 0;
+    for (const m of excerpt.matchAll(re)) {
+      snippet += `${escapeHtml(excerpt.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+    return { field, snippet: `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}` };
+  }
+  return null;
+}
@@ -1,48 +1,26 @@
-import nodemailer from 'nodemailer';
+import { enqueueEmail, isMailConfigured } from './mailer.js';
+import { escapeHtml } from './html.js';
 
 /**
- * Create a transporter. Uses SMTP env vars:
- * - SMTP_HOST (e.g. smtp.gmail.com)
- * - SMTP_PORT (e.g. 587)
- * - SMTP_USER (e.g. your-email@gmail.com)
- * - SMTP_PASS (e.g. Gmail App Password — spaces are trimmed)
- * If not set, returns null and send functions will no-op.
+ * Email helpers. Every message is queued in the outbox (see utils/mailer.js)
+ * and delivered by the mail worker with retries, so a failed SMTP call no
+ * longer loses the email.
  */
-function createTransporter() {
-  const host = process.env.SMTP_HOST;
-  const port = process.env.SMTP_PORT || 587;
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS ? String(process.env.SMTP_PASS).replace(/\s/g, '') : '';
-  if (!host || !user || !pass) return null;
-  const portNum = Number(port);
-  return nodemailer.createTransport({
-    host,
-    port: portNum,
-    secure: portNum === 465,
-    auth: { user, pass },
-    // Gmail port 587 uses STARTTLS; ensure TLS is required
-    ...(portNum === 587 && { requireTLS: true }),
-  });
-}
 
 /**
  * Send verification email to the user.
  * @param {string} to - Email address
  * @param {string} name - User name
  * @param {string} verificationUrl - Full URL to click (e.g. https://api.example.com/api/auth/verify-email?token=xxx)
- * @returns {Promise<boolean>} - true if sent, false if SMTP not configured or send failed
+ * @returns {Promise<boolean>} - true if queued and mail is configured, false otherwise
  */
 export async function sendVerificationEmail(to, name, verificationUrl) {
-  const transporter = createTransporter();
-  if (!transporter) {
-    console.warn('Email verification skipped: SMTP not configured (set SMTP_HOST, SMTP_USER, SMTP_PASS)');
-    return false;
-  }
   try {
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    await enqueueEmail({
       to,
       subject: 'Verify your email — IAS Platform',
+      category: 'verification',
+      sensitive: true,
       text: `Hi ${name},\n\nPlease verify your email by clicking this link:\n${verificationUrl}\n\nThe link expires in 24 hours.\n\n— IAS Platform`,
       html: `
         <p>Hi ${name},</p>
@@ -52,9 +30,13 @@ export async function sendVerificationEmail(to, name, verificationUrl) {
         <p>— IAS Platform</p>
       `,
     });
+    if (!isMailConfigured()) {
+      console.warn('Email verification queued but SMTP not configured (set SMTP_HOST, SMTP_USER, SMTP_PASS)');
+      return false;
+    }
     return true;
   } catch (err) {
-    console.error('Send verification email error:', err.message);
+    console.error('Queue verification email error:', err.message);
     return false;
   }
 }
@@ -63,19 +45,15 @@ export async function sendVerificationEmail(to, name, verificationUrl) {
  * Send OTP verification email.
  * @param {string} to - Email address
  * @param {string} otp - 6-digit OTP (plain text, sent in email)
- * @returns {Promise<boolean>} - true if sent, false otherwise
+ * @returns {Promise<boolean>} - true if queued and mail is configured, false otherwise
  */
 export async function sendOTPEmail(to, otp) {
-  const transporter = createTransporter();
-  if (!transporter) {
-    console.warn('OTP email skipped: SMTP not configured');
-    return false;
-  }
   try {
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    await enqueueEmail({
       to,
       subject: 'Verify your email — IAS Platform',
+      category: 'otp',
+      sensitive: true,
       text: `Your verification code is: ${otp}\n\nThis code expires in 10 minutes.\n\n— IAS Platform`,
       html: `
         <h2>Email Verification</h2>
@@ -85,9 +63,13 @@ export async function sendOTPEmail(to, otp) {
         <p>— IAS Platform</p>
       `,
     });
+    if (!isMailConfigured()) {
+      console.warn('OTP email queued but SMTP not configured');
+      return false;
+    }
     return true;
   } catch (err) {
-    console.error('Send OTP email error:', err.message);
+    console.error('Queue OTP email error:', err.message);
     return false;
   }
 }
@@ -100,17 +82,12 @@ export async function sendOTPEmail(to, otp) {
  * @returns {Promise<{ ok: boolean, error?: string }>}
  */
 export async function sendPasswordResetEmail(to, name, resetUrl) {
-  const transporter = createTransporter();
-  if (!transporter) {
-    const msg = 'SMTP not configured. Check SMTP_HOST, SMTP_USER, SMTP_PASS in .env';
-    console.error('[SMTP]', msg);
-    return { ok: false, error: msg };
-  }
   try {
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    await enqueueEmail({
       to,
       subject: 'Reset your password — IAS Platform',
+      category: 'password_reset',
+      sensitive: true,
       text: `Hi ${name},\n\nYou requested a password reset. Click this link to set a new password:\n${resetUrl}\n\nThe link expires in 1 hour.\n\nIf you didn't request this, you can ignore this email.\n\n— IAS Platform`,
       html: `
         <p>Hi ${name},</p>
@@ -121,12 +98,86 @@ export async function sendPasswordResetEmail(to, name, resetUrl) {
         <p>— IAS Platform</p>
       `,
     });
+    if (!isMailConfigured()) {
+      const msg = 'SMTP not configured. Check SMTP_HOST, SMTP_USER, SMTP_PASS in .env';
+      console.error('[SMTP]', msg);
+      return { ok: false, error: msg };
+    }
+    return { ok: true };
+  } catch (err) {
+    const msg = err.message || String(err);
+    console.error('[SMTP] Password reset email could not be queued:', msg);
+    return { ok: false, error: msg };
+  }
+}
+
+/**
+ * Send the code that confirms a new email address.
+ * @param {string} to - The new email address
+ * @param {string} otp - 6-digit OTP (plain text, sent in email)
+ * @returns {Promise<boolean>} - true if queued and mail is configured, false otherwise
+ */
+export async function sendEmailChangeOTPEmail(to, otp) {
+  try {
+    await enqueueEmail({
+      to,
+      subject: 'Confirm your new email — IAS Platform',
+      category: 'otp',
+      sensitive: true,
+      text: `Use this code to confirm this address as your new IAS Platform email: ${otp}\n\nThis code expires in 10 minutes. If you didn't request this, ignore this email.\n\n— IAS Platform`,
+      html: `
+        <h2>Confirm your new email</h2>
+        <p>Use this code to confirm this address as your new IAS Platform email:</p>
+        <h1 style="font-size: 32px; letter-spacing: 4px; margin: 16px 0;">${otp}</h1>
+        <p>This code expires in 10 minutes. If you didn't request this, you can ignore this email.</p>
+        <p>— IAS Platform</p>
+      `,
+    });
+    if (!isMailConfigured()) {
+      console.warn('Email change OTP queued but SMTP not configured');
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('Queue email change OTP error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Tell the current address that a change to another email was requested.
+ * @param {string} to - The current email address
+ * @param {string} name - User name
+ * @param {string} newEmail - Requested new address
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function sendEmailChangeNotice(to, name, newEmail) {
+  return sendEmail({
+    to,
+    subject: 'Email change requested — IAS Platform',
+    category: 'notification',
+    text: `Hi ${name},\n\nA request was made to change your account email to ${newEmail}. The change only happens once the code sent to that address is entered.\n\nIf this wasn't you, change your password and sign out of all sessions.\n\n— IAS Platform`,
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>A request was made to change your account email to <strong>${escapeHtml(newEmail)}</strong>. The change only happens once the code sent to that address is entered.</p>
+      <p>If this wasn't you, change your password and sign out of all sessions.</p>
+      <p>— IAS Platform</p>
+    `,
+  });
+}
+
+/**
+ * Send an arbitrary email (used by application notifications).
+ * @param {{ to: string, subject: string, text: string, html: string, category?: string }} message
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function sendEmail({ to, subject, text, html, category = 'notification' }) {
+  try {
+    await enqueueEmail({ to, subject, text, html, category });
     return { ok: true };
   } catch (err) {
     const msg = err.message || String(err);
-    console.error('[SMTP] Password reset email failed:', msg);
-    if (err.response) console.error('[SMTP] Response:', err.response);
-    if (err.code) console.error('[SMTP] Code:', err.code);
+    console.error('[SMTP] Send email failed:', msg);
     return { ok: false, error: msg };
   }
 }
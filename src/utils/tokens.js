@@ -0,0 +1,243 @@
+/**
+ * Access and refresh tokens.
+ * Access tokens are short-lived JWTs carrying the session id (sid) and the user's
+ * tokenVersion (tv); protect rejects them once the session is revoked or the version
+ * is bumped (logout-all, password change/reset). Refresh tokens are random strings
+ * stored hashed on the Session and rotated on every use; presenting an already-rotated
+ * refresh token revokes the session (reuse detection). Each session records the device,
+ * IP and when it was last seen, so users can review and revoke where they are signed in.
+ * Users with 2FA get a short-lived challenge token at login instead, exchanged for a
+ * session once the second factor is checked.
+ *
+ * Env: JWT_EXPIRES_IN (access token lifetime, default 15m), REFRESH_TOKEN_TTL_DAYS (default 30),
+ * STEP_UP_WINDOW_MINUTES (how long a second-factor confirmation allows sensitive actions, default 10)
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+const PREVIOUS_HASHES_KEPT = 20;
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000; // protect updates lastSeenAt at most this often
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa_login';
+
+function accessTokenTtl() {
+  return process.env.JWT_EXPIRES_IN || '15m';
+}
+
+function refreshTokenTtlMs() {
+  return (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+}
+
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+function newRefreshToken() {
+  const raw = crypto.randomBytes(48).toString('base64url');
+  return { raw, hash: hashToken(raw) };
+}
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser/, 'Samsung Internet'],
+  [/Chrome\/|CriOS/, 'Chrome'],
+  [/Firefox\/|FxiOS/, 'Firefox'],
+  [/Safari\//, 'Safari'],
+  [/okhttp|Dart|axios|curl|PostmanRuntime/i, 'API client'],
+];
+const SYSTEMS = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+/** Short device label from a user agent ("Chrome on Windows"), or "Unknown device" */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([re]) => re.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([re]) => re.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+// Device details of the request that signs in or refreshes
+function clientInfo(req) {
+  const userAgent = req?.get?.('user-agent')?.slice(0, 512);
+  return { userAgent, device: describeDevice(userAgent), ip: req?.ip };
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user._id, sid: String(sessionId), tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtl(),
+    algorithm: 'HS256',
+  });
+}
+
+/**
+ * Start a session for a user who just signed in.
+ * @param {object} user
+ * @param {import('express').Request} [req] - recorded as the session's device and IP
+ * @param {{ secondFactor?: boolean }} [opts] - the sign-in included a second factor
+ * @returns {Promise<{ session: object, token: string, refreshToken: string }>}
+ */
+export async function createSession(user, req, { secondFactor = false } = {}) {
+  const { raw, hash } = newRefreshToken();
+  const now = new Date();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hash,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(now.getTime() + refreshTokenTtlMs()),
+    ...clientInfo(req),
+    lastSeenAt: now,
+    ...(secondFactor && { secondFactorAt: now }),
+  });
+  return { session, token: signAccessToken(user, session._id), refreshToken: raw };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Throws with .status 401 if it is unknown, expired, revoked or a replay of a rotated token.
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') throw authError('Refresh token required', 400);
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: next.hash, lastSeenAt: now, ...(req && { ip: req.ip }) },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -PREVIOUS_HASHES_KEPT } },
+    },
+    { new: true }
+  );
+  if (!session) {
+    // A rotated token used again means it leaked: end that session for everyone holding it
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+    );
+    if (reused) {
+      console.warn(`[Auth] Refresh token reuse detected for user ${reused.userId}; session ${reused._id} revoked`);
+      throw authError('Session revoked. Please log in again.');
+    }
+    throw authError('Invalid or expired refresh token');
+  }
+  const user = await User.findById(session.userId).select('-password');
+  if (!user || (user.tokenVersion || 0) !== session.tokenVersion) {
+    await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: now, revokedReason: 'logout_all' } });
+    throw authError('Session expired. Please log in again.');
+  }
+  return { user, session, token: signAccessToken(user, session._id), refreshToken: next.raw };
+}
+
+/**
+ * Revoke one session, identified by its refresh token or id (scoped to userId when given).
+ * @returns {Promise<boolean>} whether an active session was revoked
+ */
+export async function revokeSession({ refreshToken, sessionId, userId }, reason = 'logout') {
+  const filter = { revokedAt: null };
+  if (refreshToken) filter.refreshTokenHash = hashToken(String(refreshToken));
+  else if (sessionId) filter._id = sessionId;
+  else return false;
+  if (userId) filter.userId = userId;
+  const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+}
+
+/** End every session of a user: bumps tokenVersion (invalidating access tokens) and revokes refresh tokens */
+export async function revokeAllSessions(userId, reason = 'logout_all') {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+/** Short-lived token proving the password (or Google) step of a 2FA login */
+export function signTwoFactorChallenge(user) {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+    algorithm: 'HS256',
+  });
+}
+
+/** User id from a challenge token; throws with .status 401 if invalid or expired */
+export function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('wrong purpose');
+    return { userId: decoded.id, tokenVersion: decoded.tv || 0 };
+  } catch {
+    throw authError('Login challenge is invalid or has expired. Please log in again.');
+  }
+}
+
+/** Record a second-factor confirmation on the session (step-up) */
+export async function markSecondFactor(sessionId) {
+  const result = await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { secondFactorAt: new Date() } });
+  return result.modifiedCount > 0;
+}
+
+/** Whether the session confirmed a second factor within STEP_UP_WINDOW_MINUTES */
+export async function hasRecentSecondFactor(sessionId) {
+  if (!sessionId) return false;
+  const windowMs = (Number(process.env.STEP_UP_WINDOW_MINUTES) || 10) * 60 * 1000;
+  return !!(await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    secondFactorAt: { $gt: new Date(Date.now() - windowMs) },
+  }));
+}
+
+// Best-effort lastSeenAt update, throttled so busy clients don't write on every request
+function touchSession(sessionId) {
+  const now = new Date();
+  Session.updateOne(
+    { _id: sessionId, $or: [{ lastSeenAt: null }, { lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) } }] },
+    { $set: { lastSeenAt: now } }
+  ).catch((err) => console.error('[Auth] Could not update session lastSeenAt:', err.message));
+}
+
+/** Active (not revoked, not expired) sessions of a user, most recently seen first */
+export async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip createdAt lastSeenAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+/**
+ * Verify an access token and load its user. Throws with .status 401 if the token is
+ * invalid or expired, the user is gone, or the session/token version has been revoked.
+ * @returns {Promise<{ user: object, sessionId?: string }>}
+ */
+export async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  } catch {
+    throw authError('Not authorized');
+  }
+  if (decoded.purpose) throw authError('Not authorized'); // challenge tokens are not access tokens
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) throw authError('User not found');
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) throw authError('Session expired. Please log in again.');
+  // Tokens issued before sessions existed carry no sid; the version check above still applies
+  if (decoded.sid) {
+    const active = await Session.exists({ _id: decoded.sid, userId: user._id, revokedAt: null });
+    if (!active) throw authError('Session has been revoked. Please log in again.');
+    touchSession(decoded.sid);
+  }
+  return { user, sessionId: decoded.sid };
+}
@@ -0,0 +1,148 @@
+/**
+ * Two-factor authentication: TOTP enrollment, second-factor checks at login and step-up,
+ * and single-use backup codes (stored as sha256 hashes, like email OTPs).
+ *
+ * Env: REQUIRE_ADMIN_2FA=true makes enrollment mandatory for admins;
+ * TWO_FACTOR_ISSUER names the account in authenticator apps (default IAS Platform).
+ */
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { hashOTP } from './otp.js';
+import { assertNotLocked, recordFailureOrLock, clearFailures } from './lockout.js';
+import { generateSecret, otpauthUri, verifyTotp } from './totp.js';
+
+const BACKUP_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes';
+
+function twoFactorError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Whether config requires this user to have 2FA enabled */
+export function twoFactorRequired(user) {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && user?.role === 'admin';
+}
+
+// Backup codes are shown once, as xxxx-xxxx; compared case- and dash-insensitively
+function normalizeBackupCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashOTP(normalizeBackupCode(c))) };
+}
+
+/**
+ * Start enrollment: store a pending secret (not active until confirmed with enableTwoFactor).
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+export async function startTwoFactorSetup(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw twoFactorError('User not found', 404);
+  if (user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is already enabled');
+  const secret = generateSecret();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': secret } });
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'IAS Platform';
+  return { secret, otpauthUrl: otpauthUri({ secret, account: user.email, issuer }) };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * @returns {Promise<string[]>} backup codes (shown once)
+ */
+export async function enableTwoFactor(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw twoFactorError('User not found', 404);
+  if (user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is already enabled');
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) throw twoFactorError('Start two-factor setup first');
+  const step = verifyTotp(secret, code);
+  if (step == null) throw twoFactorError('Invalid authentication code');
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': secret,
+        'twoFactor.backupCodes': hashes,
+        'twoFactor.lastStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  return codes;
+}
+
+/**
+ * Check a TOTP code or a backup code (body: { code } or { backupCode }). Backup codes are
+ * consumed, and a TOTP step cannot be used twice. Throws with .status 401 on a wrong code,
+ * and 429 once too many wrong codes lock the account (see lockout.js).
+ * @returns {Promise<{ method: 'totp'|'backup_code', backupCodesRemaining: number }>}
+ */
+export async function verifySecondFactor(userId, input = {}, { ip } = {}) {
+  await assertNotLocked(userId, 'two_factor');
+  try {
+    const result = await checkSecondFactor(userId, input);
+    await clearFailures(userId, 'two_factor');
+    return result;
+  } catch (err) {
+    if (err.status === 401) await recordFailureOrLock(userId, 'two_factor', { ip });
+    throw err;
+  }
+}
+
+async function checkSecondFactor(userId, { code, backupCode } = {}) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is not enabled');
+  if (backupCode) {
+    const hash = hashOTP(normalizeBackupCode(backupCode));
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (result.modifiedCount === 0) throw twoFactorError('Invalid backup code', 401);
+    return { method: 'backup_code', backupCodesRemaining: user.twoFactor.backupCodes.length - 1 };
+  }
+  const lastStep = user.twoFactor.lastStep ?? -1;
+  const step = verifyTotp(user.twoFactor.secret, code, { afterStep: lastStep });
+  // Conditional update so two requests racing with the same code can't both succeed
+  const claimed =
+    step != null &&
+    (
+      await User.updateOne(
+        { _id: userId, $or: [{ 'twoFactor.lastStep': null }, { 'twoFactor.lastStep': { $lt: step } }] },
+        { $set: { 'twoFactor.lastStep': step } }
+      )
+    ).modifiedCount > 0;
+  if (!claimed) throw twoFactorError('Invalid authentication code', 401);
+  return { method: 'totp', backupCodesRemaining: user.twoFactor.backupCodes.length };
+}
+
+/** Replace the backup codes (after a second-factor check by the caller) */
+export async function regenerateBackupCodes(userId) {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+  return codes;
+}
+
+export async function disableTwoFactor(userId) {
+  await User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+}
+
+export async function twoFactorStatus(user) {
+  const doc = await User.findById(user._id).select('+twoFactor.backupCodes');
+  return {
+    enabled: !!doc?.twoFactor?.enabled,
+    enabledAt: doc?.twoFactor?.enabledAt,
+    backupCodesRemaining: doc?.twoFactor?.backupCodes?.length || 0,
+    required: twoFactorRequired(doc),
+  };
+}